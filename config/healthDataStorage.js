@@ -0,0 +1,20 @@
+// Backend | config/healthDataStorage.js
+// Where HealthData lives. Only declarations — models/HealthData.js and
+// scripts/migrateHealthDataTimeseries.js read these.
+//
+//   HEALTHDATA_STORAGE=legacy (default)  regular "healthdatas" collection
+//   HEALTHDATA_STORAGE=timeseries        MongoDB time-series collection (MongoDB 7.0+,
+//                                        which allows the updates retraction and reprocessing make)
+
+const LEGACY_COLLECTION = "healthdatas";
+const TIMESERIES_COLLECTION = "healthdata_ts";
+
+const TIMESERIES_OPTIONS = {
+  timeField: "timestamp",   // measured time
+  metaField: "deviceId",
+  granularity: "seconds",
+};
+
+const useTimeseries = () => (process.env.HEALTHDATA_STORAGE || "legacy").toLowerCase() === "timeseries";
+
+module.exports = { LEGACY_COLLECTION, TIMESERIES_COLLECTION, TIMESERIES_OPTIONS, useTimeseries };
@@ -0,0 +1,48 @@
+// Backend | config/metricFields.js
+// Where each metricSpec id lives in a HealthData document.
+// Only declarations — ids not listed here are stored as `metrics.<id>`.
+
+const METRIC_FIELDS = {
+  // flat vitals / environment
+  HR: "heartRate",
+  Respiration: "respiration",
+  Stress: "stress",
+  Temp: "temperature",
+  Hum: "humidity",
+  IAQ: "iaq",
+  TVOC: "tvoc",
+
+  // signals
+  Motion: "signals.motion",
+  Human: "signals.presence",
+
+  // environment detail
+  BVOC: "metrics.bvoc",
+  CO2: "metrics.co2",
+  GasPercent: "metrics.gas_percent",
+  Pressure: "metrics.pressure",
+  SnoreNum: "metrics.snore_num",
+  SnoreFreq: "metrics.snore_freq",
+
+  // HRV detail
+  HRV: "metrics.mean_rr",   // the spec range (300–1600) is in RR ms; flat `hrv` holds rmssd
+  SDNN: "metrics.sdnn",
+  RMSSD: "metrics.rmssd",
+  NN50: "metrics.nn50",
+  PNN50: "metrics.pnn50",
+  SDSD: "metrics.sdsd",
+  SD1: "metrics.sd1",
+  SD2: "metrics.sd2",
+  MXDMN: "metrics.mxdmn",
+  MO: "metrics.mo",
+  AMO: "metrics.amo",
+  StressIndex: "metrics.stress_ind",
+  LF_POW: "metrics.lf_pow",
+  HF_POW: "metrics.hf_pow",
+  LF_HF_Ratio: "metrics.lf_hf_ratio",
+  LFHF: "metrics.lfhf",
+};
+
+const fieldFor = (id) => METRIC_FIELDS[id] || `metrics.${id}`;
+
+module.exports = { METRIC_FIELDS, fieldFor };
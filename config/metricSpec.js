@@ -11,14 +11,17 @@ const COMMON_ON_CHANGE = [
 ];
 
 // IMPORTANT: keys below are normalized metric ids used across backend+frontend.
+// staleSec: an unchanged value for this long is flagged "stale" (stuck sensor);
+// only set where a frozen value is implausible — a steady room temperature is not.
 const DEVICES = {
   Dozemate: {
     presenceField: "signals.presence",
+    retractSec: 12,   // on presence 1→0, readings this far back are retracted
     params: {
       // Core vitals
-      HR:         { min: 48, max: 200, mode: "periodic", avgSec: 6 },   // was 12 → now 6s per Excel
+      HR:         { min: 48, max: 200, mode: "periodic", avgSec: 6, staleSec: 300 },   // was 12 → now 6s per Excel
       HRV:        { min: 300, max: 1600, mode: "periodic", avgSec: 540 },
-      Respiration:{ min: 2,   max: 20,  mode: "periodic", avgSec: 6 },  // was 12 → now 6s
+      Respiration:{ min: 2,   max: 20,  mode: "periodic", avgSec: 6, staleSec: 300 },  // was 12 → now 6s
       Stress:     { min: 0,   max: 50,  mode: "onchange" },
       SpO2:       { min: 50,  max: 100, mode: "onchange" },
       Temp:       { min: 0,   max: 100, mode: "periodic", avgSec: 6 },
@@ -58,11 +61,12 @@ const DEVICES = {
 
   Hexaskin: {
     presenceField: "signals.presence",
+    retractSec: 12,
     // Largely same constraints per sheet; includes posture/fall/VO2/etc.
     params: {
-      HR: { min: 48, max: 200, mode: "periodic", avgSec: 12 },
+      HR: { min: 48, max: 200, mode: "periodic", avgSec: 12, staleSec: 300 },
       HRV: { min: 300, max: 1600, mode: "periodic", avgSec: 12 },
-      Respiration: { min: 2, max: 20, mode: "periodic", avgSec: 12 },
+      Respiration: { min: 2, max: 20, mode: "periodic", avgSec: 12, staleSec: 300 },
       Stress: { min: 0, max: 50, mode: "onchange" },
       SpO2: { min: 50, max: 100, mode: "onchange" },
       HRrest: { min: 48, max: 200, mode: "onchange" },
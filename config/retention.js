@@ -0,0 +1,16 @@
+// Backend | config/retention.js
+// How long HealthData and signal chunks are kept, per organization plan.
+// Only declarations — utils/retention.js applies them nightly.
+//
+// An Organization's own `retentionDays` wins over its plan's; null = keep forever.
+// Devices outside any organization use RETENTION_DEFAULT_DAYS (unset = keep forever).
+
+const PLAN_RETENTION_DAYS = {
+  basic: 90,
+  standard: 365,
+  enterprise: null,
+};
+
+const PLANS = Object.keys(PLAN_RETENTION_DAYS);
+
+module.exports = { PLAN_RETENTION_DAYS, PLANS };
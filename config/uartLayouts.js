@@ -0,0 +1,41 @@
+// Backend | config/uartLayouts.js
+// Built-in UART CSV layouts, used when a DeviceModel declares none of its own.
+// Only declarations — the parser in utils/ingest/uart.js is built from these.
+//
+// A layout: { tag, minFields?, fields: [{ index?, path, type?, scale?, offset? }] }
+//   index  position after the tag (0-based, defaults to the field's position in the list)
+//   path   "heartRate" (flat field), "metrics.sdnn" or "signals.motion"
+//   type   "number" (default) | "int" | "bool" (1 → true) | "string"
+//   scale/offset  value * scale + offset, for numeric types
+// DeviceModel.uartLayouts entries may also carry `firmware` ("2.1.0", "2.*" or absent = any).
+
+const HRV_FIELDS = [
+  "mean_rr", "sdnn", "rmssd", "pnn50", "hr_median", "rr_tri_index", "tin_rmssd",
+  "sd1", "sd2", "lf", "hf", "lfhf", "sample_entropy", "sd1sd2", "sns_index", "pns_index"
+];
+
+const DEFAULT_LAYOUTS = [
+  {
+    tag: "HRV_DATA",
+    minFields: HRV_FIELDS.length,
+    fields: [
+      ...HRV_FIELDS.map((name, index) => ({ index, path: `metrics.${name}` })),
+      // keep legacy flats filled
+      { index: HRV_FIELDS.indexOf("rmssd"), path: "hrv" },
+      { index: HRV_FIELDS.indexOf("hr_median"), path: "heartRate" },
+    ]
+  },
+  { tag: "TEMP_HUM", fields: [{ path: "temperature" }, { path: "humidity" }] },
+  { tag: "HR", fields: [{ path: "heartRate" }] },
+  { tag: "RES", fields: [{ path: "respiration" }] },
+  { tag: "STRESS", fields: [{ path: "stress" }] },
+  { tag: "RR", fields: [] }, // raw RR sample marker, kept in `raw` only
+  { tag: "MOTION", fields: [{ path: "signals.motion", type: "bool" }] },
+  { tag: "PRESENCE", fields: [{ path: "signals.presence", type: "bool" }] },
+  { tag: "ACT", fields: [{ path: "signals.activity" }] },
+  { tag: "ACTIVITY", fields: [{ path: "signals.activity" }] },
+  { tag: "BAT", fields: [{ path: "signals.battery" }] },
+  { tag: "MIC", fields: [{ path: "signals.mic" }] },
+];
+
+module.exports = DEFAULT_LAYOUTS;
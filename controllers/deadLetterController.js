@@ -0,0 +1,132 @@
+const mongoose = require("mongoose");
+const DeadLetter = require("../models/DeadLetter");
+const { replayDeadLetter } = require("../utils/ingest/replay");
+
+const MAX_REPLAY = 500;
+
+// shared filter for list / replay-by-filter
+function buildFilter(src = {}) {
+  const filter = {};
+  if (src.reason) filter.reason = { $in: String(src.reason).split(",").map(s => s.trim()).filter(Boolean) };
+  if (src.deviceId) filter.deviceId = String(src.deviceId).trim();
+  if (src.status) filter.status = String(src.status).trim();
+  if (src.transport) filter.transport = String(src.transport).trim();
+  if (src.from || src.to) {
+    filter.receivedAt = {};
+    if (src.from) filter.receivedAt.$gte = new Date(src.from);
+    if (src.to) filter.receivedAt.$lte = new Date(src.to);
+  }
+  return filter;
+}
+
+// GET /api/manage/dead-letters?reason=violation,no-change&deviceId=&status=&from=&to=&page=&limit=
+exports.listDeadLetters = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = (page - 1) * limit;
+    const filter = buildFilter(req.query);
+
+    const [rows, total] = await Promise.all([
+      DeadLetter.find(filter).sort({ receivedAt: -1 }).skip(skip).limit(limit).lean(),
+      DeadLetter.countDocuments(filter),
+    ]);
+
+    res.json({
+      status: "success",
+      results: rows.length,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total,
+      data: rows,
+    });
+  } catch (error) {
+    res.status(500).json({ status: "fail", message: error.message });
+  }
+};
+
+// GET /api/manage/dead-letters/summary — counts per reason (optionally per device / range)
+exports.getDeadLetterSummary = async (req, res) => {
+  try {
+    const rows = await DeadLetter.aggregate([
+      { $match: buildFilter(req.query) },
+      { $group: { _id: { reason: "$reason", status: "$status" }, count: { $sum: 1 }, last: { $max: "$receivedAt" } } },
+      { $project: { _id: 0, reason: "$_id.reason", status: "$_id.status", count: 1, last: 1 } },
+      { $sort: { count: -1 } },
+    ]);
+    res.json({ status: "success", data: rows });
+  } catch (error) {
+    res.status(500).json({ status: "fail", message: error.message });
+  }
+};
+
+// GET /api/manage/dead-letters/:id
+exports.getDeadLetter = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ status: "fail", message: "Invalid dead letter id" });
+    }
+    const row = await DeadLetter.findById(req.params.id).lean();
+    if (!row) return res.status(404).json({ status: "fail", message: "Dead letter not found" });
+    res.json({ status: "success", data: row });
+  } catch (error) {
+    res.status(500).json({ status: "fail", message: error.message });
+  }
+};
+
+// POST /api/manage/dead-letters/replay
+// body: { ids: [...] } or { filter: { reason, deviceId, from, to }, limit }
+exports.replayDeadLetters = async (req, res) => {
+  try {
+    const { ids, filter } = req.body || {};
+    let query;
+    if (Array.isArray(ids) && ids.length) {
+      const bad = ids.filter(id => !mongoose.isValidObjectId(id));
+      if (bad.length) {
+        return res.status(400).json({ status: "fail", message: `Invalid dead letter id(s): ${bad.join(", ")}` });
+      }
+      query = { _id: { $in: ids } };
+    } else if (filter && typeof filter === "object") {
+      query = { ...buildFilter(filter), status: { $ne: "replayed" } };
+    } else {
+      return res.status(400).json({ status: "fail", message: "ids or filter is required" });
+    }
+
+    const limit = Math.min(parseInt(req.body.limit) || MAX_REPLAY, MAX_REPLAY);
+    const rows = await DeadLetter.find(query).sort({ receivedAt: 1 }).limit(limit);
+
+    const results = [];
+    for (const dl of rows) {
+      try {
+        results.push(await replayDeadLetter(dl));
+      } catch (err) {
+        results.push({ id: dl._id, status: "error", reason: "error", detail: err.message });
+      }
+    }
+
+    const replayed = results.filter(r => r.status === "replayed").length;
+    console.log(`♻️ Replayed ${replayed}/${results.length} dead letters`);
+    res.json({
+      status: "success",
+      count: { selected: rows.length, replayed, rejected: results.length - replayed },
+      results,
+    });
+  } catch (error) {
+    console.error("Error replaying dead letters:", error);
+    res.status(500).json({ status: "fail", message: error.message });
+  }
+};
+
+// DELETE /api/manage/dead-letters/:id
+exports.deleteDeadLetter = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ status: "fail", message: "Invalid dead letter id" });
+    }
+    const row = await DeadLetter.findByIdAndDelete(req.params.id);
+    if (!row) return res.status(404).json({ status: "fail", message: "Dead letter not found" });
+    res.json({ status: "success", message: "Dead letter deleted" });
+  } catch (error) {
+    res.status(500).json({ status: "fail", message: error.message });
+  }
+};
@@ -2,9 +2,13 @@ const Device = require("../models/Device");
 const DeviceModel = require("../models/DeviceModel");
 const Manufacturer = require("../models/Manufacturer");
 const SPEC = require("../config/metricSpec");
-const presenceState = new Map(); // deviceId -> {lastPresence, lastValues:{}}
 const User = require("../models/User");
 const HealthData = require("../models/HealthData");
+const { resolveTimeField, timeRangeFilter } = require("../utils/ingest/time");
+const { issueCredentials } = require("../utils/deviceCredentials");
+const { NOT_RETRACTED } = require("../utils/ingest/presence");
+const { NOT_COMPUTED } = require("../utils/hrvJob");
+const { qualityFilter, BAD_FLAGS } = require("../utils/ingest/quality");
 
 // Search devices by deviceId, deviceType, manufacturer, location, status
 exports.searchDevices = async (req, res) => {
@@ -28,14 +32,15 @@ exports.searchDevices = async (req, res) => {
   }
 };
 
-// Get all devices (with pagination)
+// Get all devices (with pagination); ?throttled=true lists devices flagged for exceeding their ingest limit
 exports.getAllDevices = async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
-    const total = await Device.countDocuments();
-    const devices = await Device.find()
+    const filter = req.query.throttled === "true" ? { "throttle.flagged": true } : {};
+    const total = await Device.countDocuments(filter);
+    const devices = await Device.find(filter)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
@@ -220,24 +225,27 @@ exports.getDeviceHistory = async (req, res) => {
     const limit = parseInt(req.query.limit) || 100;
     const from = req.query.from ? new Date(req.query.from) : null;
     const to = req.query.to ? new Date(req.query.to) : null;
+    const timeField = resolveTimeField(req.query.timeField); // measured (default) | received
 
     if (!deviceId) {
       return res.status(400).json({ status: "fail", message: "deviceId is required" });
     }
+    const quality = qualityFilter(req.query.quality); // ok | flagged | below_min,above_max,stale
+    if (quality.error) {
+      return res.status(400).json({ status: "fail", message: quality.error });
+    }
 
-    const q = { deviceId };
-    if (from || to) q.timestamp = {};
-    if (from) q.timestamp.$gte = from;
-    if (to) q.timestamp.$lte = to;
+    const q = { deviceId, ...NOT_RETRACTED, ...NOT_COMPUTED, ...quality.filter, ...timeRangeFilter(timeField, from, to) };
+    const sort = timeField === "received" ? { receivedAt: -1, timestamp: -1 } : { timestamp: -1 };
 
-    console.log(`[DeviceHistory] Fetching history for deviceId=${deviceId}, from=${from}, to=${to}, limit=${limit}`);
+    console.log(`[DeviceHistory] Fetching history for deviceId=${deviceId}, from=${from}, to=${to}, limit=${limit}, timeField=${timeField}`);
 
     // ✅ Explicit projection: include all relevant top-level fields
     const data = await HealthData.find(
       q,
-      "timestamp deviceId heartRate respiration temperature humidity stress iaq eco2 tvoc pressure bvoc gasPercer metrics signals"
+      "timestamp receivedAt clock deviceId heartRate respiration temperature humidity stress iaq eco2 tvoc pressure bvoc gasPercer metrics signals quality qualityFlags"
     )
-      .sort({ timestamp: -1 })
+      .sort(sort)
       .limit(limit)
       .lean(); // lean() to improve performance and return plain objects
 
@@ -247,11 +255,12 @@ exports.getDeviceHistory = async (req, res) => {
     const matchFilter = {
       deviceId,
       heartRate: { $gt: 0 },
-      "signals.presence": 1
+      "quality.HR": { $nin: BAD_FLAGS }, // flagged HR is kept unless QUALITY_MODE=null
+      "signals.presence": 1,
+      ...NOT_RETRACTED,
+      ...quality.filter,
+      ...timeRangeFilter(timeField, from, to)
     };
-    if (from || to) matchFilter.timestamp = {};
-    if (from) matchFilter.timestamp.$gte = from;
-    if (to) matchFilter.timestamp.$lte = to;
 
     const summaryAgg = await HealthData.aggregate([
       { $match: matchFilter },
@@ -316,3 +325,51 @@ exports.setActiveDevice = async (req, res) => {
     res.status(500).json({ message: "Server error" });
   }
 };
+
+// 🔑 Rotate a device's ingest secret (old one stops working immediately)
+exports.rotateDeviceCredentials = async (req, res) => {
+  try {
+    const device = await Device.findOne({ deviceId: req.params.deviceId }).select("+credentials.secret");
+    if (!device) return res.status(404).json({ status: "fail", message: "Device not found" });
+
+    const deviceSecret = issueCredentials(device);
+    await device.save();
+
+    console.log(`🔑 Rotated credentials for ${device.deviceId} (v${device.credentials.version})`);
+    res.json({
+      status: "success",
+      message: `Credentials rotated for ${device.deviceId}`,
+      data: {
+        deviceId: device.deviceId,
+        deviceSecret,
+        version: device.credentials.version,
+        issuedAt: device.credentials.issuedAt,
+      },
+    });
+  } catch (err) {
+    console.error("Error in rotateDeviceCredentials:", err);
+    res.status(500).json({ status: "fail", message: err.message });
+  }
+};
+
+// ⛔ Revoke a device's ingest secret; it cannot post until rotated again
+exports.revokeDeviceCredentials = async (req, res) => {
+  try {
+    const device = await Device.findOneAndUpdate(
+      { deviceId: req.params.deviceId },
+      { $set: { "credentials.secret": null, "credentials.revokedAt": new Date() } },
+      { new: true }
+    );
+    if (!device) return res.status(404).json({ status: "fail", message: "Device not found" });
+
+    console.log(`⛔ Revoked credentials for ${device.deviceId}`);
+    res.json({
+      status: "success",
+      message: `Credentials revoked for ${device.deviceId}`,
+      data: { deviceId: device.deviceId, credentials: device.credentials },
+    });
+  } catch (err) {
+    console.error("Error in revokeDeviceCredentials:", err);
+    res.status(500).json({ status: "fail", message: err.message });
+  }
+};
@@ -195,7 +195,9 @@ exports.updateOrganization = async (req, res, next) => {
       "isActive",
       "logo",
       "contactPerson",
-      "description"
+      "description",
+      "plan",
+      "retentionDays"
     ];
 
     // Filter out fields that are not allowed to be updated
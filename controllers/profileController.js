@@ -5,6 +5,7 @@ const path = require("path");
 const fs = require("fs");
 const Account = require("../models/Account");
 const User = require("../models/User");
+const { isValidTimeZone } = require("../utils/timezone");
 
 // ---------- helpers ----------
 async function nextProfileSuffix(account) {
@@ -78,6 +79,26 @@ exports.listProfiles = async (req, res, next) => {
   } catch (err) { next(err); }
 };
 
+// ---------- account time zone (profiles without their own use it) ----------
+exports.updateAccountTimezone = async (req, res, next) => {
+  try {
+    const { accountId } = req.params;
+    const { timezone } = req.body;
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ status: "fail", message: `Unknown time zone '${timezone}'` });
+    }
+
+    const account = await Account.findOne({ accountId });
+    if (!account) return res.status(404).json({ status: "fail", message: "Account not found" });
+    if (!canManageAccount(req, account)) return res.sendStatus(403);
+
+    account.timezone = timezone || undefined;
+    await account.save();
+
+    res.json({ status: "success", accountId: account.accountId, timezone: account.timezone || null });
+  } catch (err) { next(err); }
+};
+
 // ---------- get single profile by userId ----------
 exports.getProfile = async (req, res, next) => {
   try {
@@ -104,7 +125,11 @@ exports.updateProfile = async (req, res, next) => {
     if (!account) return res.status(404).json({ status: "fail", message: "Account not found" });
     if (!canManageAccount(req, account)) return res.sendStatus(403);
 
-    const allowed = ["name", "nickname", "dateOfBirth", "gender", "weight", "height", "waist"];
+    if (req.body.timezone && !isValidTimeZone(req.body.timezone)) {
+      return res.status(400).json({ status: "fail", message: `Unknown time zone '${req.body.timezone}'` });
+    }
+
+    const allowed = ["name", "nickname", "dateOfBirth", "gender", "weight", "height", "waist", "timezone"];
     for (const k of allowed) if (k in req.body) profile[k] = req.body[k];
     await profile.save();
 
@@ -0,0 +1,118 @@
+const UnclaimedDevice = require("../models/UnclaimedDevice");
+const Device = require("../models/Device");
+const DevicePrefix = require("../models/DevicePrefix");
+const { issueCredentials } = require("../utils/deviceCredentials");
+
+// List unclaimed / approved / blocked devices (default: unclaimed)
+exports.listUnclaimedDevices = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    const status = (req.query.status || "unclaimed").toLowerCase().trim();
+    if (status !== "all") filter.status = status;
+    if (req.query.search) filter.deviceId = { $regex: req.query.search, $options: "i" };
+
+    const [rows, total] = await Promise.all([
+      UnclaimedDevice.find(filter).sort({ lastSeenAt: -1 }).skip(skip).limit(limit).lean(),
+      UnclaimedDevice.countDocuments(filter),
+    ]);
+
+    res.json({
+      status: "success",
+      results: rows.length,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total,
+      data: rows,
+    });
+  } catch (error) {
+    res.status(500).json({ status: "fail", message: error.message });
+  }
+};
+
+// Approve: create the full Device record from the decoded prefix (+ overrides in body)
+exports.approveUnclaimedDevice = async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const entry = await UnclaimedDevice.findOne({ deviceId });
+    if (!entry) return res.status(404).json({ status: "fail", message: "Unclaimed device not found" });
+    if (entry.status === "approved") {
+      return res.status(409).json({ status: "fail", message: `${deviceId} is already approved` });
+    }
+
+    const { deviceType, manufacturer, firmwareVersion, location, validity, userId, profileId } = req.body || {};
+    const type = deviceType || entry.decoded?.deviceType;
+    const maker = manufacturer || entry.decoded?.manufacturer;
+    if (!type || !maker) {
+      return res.status(400).json({
+        status: "fail",
+        message: "deviceType and manufacturer could not be decoded from the prefix; provide them in the body"
+      });
+    }
+
+    const now = new Date();
+    const device = new Device({
+      deviceId,
+      deviceType: type,
+      manufacturer: maker,
+      firmwareVersion: firmwareVersion || "unknown",
+      location: location || "unassigned",
+      validity: validity ? new Date(validity) : new Date(now.getTime() + 365 * 24 * 60 * 60 * 1000),
+      status: "active",
+      createdAt: now,
+      lastActiveAt: entry.lastSeenAt,
+      userId: userId || null,
+      profileId: profileId || undefined,
+    });
+    const deviceSecret = issueCredentials(device);
+    await device.save();
+
+    // keep the prefix counter ahead of ids that were issued outside the prefix flow
+    const [prefix, seq] = deviceId.split("-");
+    if (/^\d{7}$/.test(prefix) && /^\d{5}$/.test(seq || "")) {
+      await DevicePrefix.updateOne({ prefix }, { $max: { sequence: Number(seq) } });
+    }
+
+    entry.status = "approved";
+    entry.decidedAt = now;
+    entry.decidedBy = req.user.userId;
+    entry.device = device._id;
+    await entry.save();
+
+    console.log(`✅ Approved unclaimed device ${deviceId}`);
+    res.status(201).json({
+      status: "success",
+      message: `Device ${deviceId} approved`,
+      data: { device, deviceSecret, unclaimed: entry },
+    });
+  } catch (error) {
+    if (error && error.code === 11000) {
+      return res.status(409).json({ status: "fail", message: "A device with this Device ID already exists." });
+    }
+    if (error && error.name === "ValidationError") {
+      return res.status(400).json({ status: "fail", message: error.message });
+    }
+    console.error("Error approving unclaimed device:", error);
+    res.status(500).json({ status: "fail", message: error.message });
+  }
+};
+
+// Block: keep counting messages, but stop storing them as dead letters
+exports.blockUnclaimedDevice = async (req, res) => {
+  try {
+    const entry = await UnclaimedDevice.findOneAndUpdate(
+      { deviceId: req.params.deviceId, status: { $ne: "approved" } },
+      { $set: { status: "blocked", decidedAt: new Date(), decidedBy: req.user.userId } },
+      { new: true }
+    );
+    if (!entry) return res.status(404).json({ status: "fail", message: "Unclaimed device not found" });
+
+    console.log(`⛔ Blocked unclaimed device ${entry.deviceId}`);
+    res.json({ status: "success", message: `Device ${entry.deviceId} blocked`, data: entry });
+  } catch (error) {
+    res.status(500).json({ status: "fail", message: error.message });
+  }
+};
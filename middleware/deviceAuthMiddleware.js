@@ -0,0 +1,71 @@
+// middleware/deviceAuthMiddleware.js
+const Device = require("../models/Device");
+const DeviceNonce = require("../models/DeviceNonce");
+const { SIGNATURE_TTL_SEC, decryptSecret, sign, safeEqualHex } = require("../utils/deviceCredentials");
+const { countReceived, countRejected } = require("../utils/telemetry");
+
+// Devices provisioned before credentials existed have no secret; let them through only when asked to.
+const ALLOW_UNPROVISIONED = String(process.env.DEVICE_AUTH_ALLOW_UNPROVISIONED || "false").toLowerCase() === "true";
+
+/**
+ * Verifies X-Device-Timestamp / X-Device-Nonce / X-Device-Signature against
+ * the device's secret and attaches the Device as req.device.
+ * Needs req.rawBody (see express.json verify hook in server.js).
+ */
+const deviceAuthMiddleware = async (req, res, next) => {
+  try {
+    const deviceId = req.body?.deviceId;
+    if (!deviceId) {
+      return res.status(400).json({ message: "deviceId is required" });
+    }
+
+    const device = await Device.findOne({ deviceId }).select("+credentials.secret");
+    if (!device) {
+      countReceived("http");
+      countRejected("http", "unknown-device");
+      return res.status(404).json({ message: `Device ${deviceId} not found` });
+    }
+
+    const creds = device.credentials;
+    if (!creds?.secret) {
+      if (creds?.revokedAt) return res.status(401).json({ message: "Device credentials revoked" });
+      if (ALLOW_UNPROVISIONED) {
+        req.device = device;
+        return next();
+      }
+      return res.status(401).json({ message: "Device has no credentials" });
+    }
+
+    const timestamp = req.header("X-Device-Timestamp");
+    const nonce = req.header("X-Device-Nonce");
+    const signature = req.header("X-Device-Signature");
+    if (!timestamp || !nonce || !signature) {
+      return res.status(401).json({ message: "Missing device signature headers" });
+    }
+
+    const ts = Number(timestamp);
+    if (!Number.isFinite(ts) || Math.abs(Date.now() / 1000 - ts) > SIGNATURE_TTL_SEC) {
+      return res.status(401).json({ message: "Signature timestamp outside allowed window" });
+    }
+
+    const expected = sign(decryptSecret(creds.secret), timestamp, nonce, req.rawBody?.toString("utf8"));
+    if (!safeEqualHex(signature, expected)) {
+      return res.status(401).json({ message: "Invalid device signature" });
+    }
+
+    try {
+      await DeviceNonce.create({ deviceId, nonce });
+    } catch (e) {
+      if (e.code === 11000) return res.status(401).json({ message: "Replayed request" });
+      throw e;
+    }
+
+    req.device = device;
+    next();
+  } catch (error) {
+    console.error("Device auth error:", error);
+    res.status(500).json({ message: "Server error during device authorization" });
+  }
+};
+
+module.exports = deviceAuthMiddleware;
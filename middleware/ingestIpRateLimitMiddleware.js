@@ -0,0 +1,17 @@
+// middleware/ingestIpRateLimitMiddleware.js
+const { admitIp } = require("../utils/ingest/rateLimit");
+const { countReceived, countRejected } = require("../utils/telemetry");
+
+/**
+ * Per-IP token bucket for HTTP ingest, ahead of deviceAuthMiddleware so a
+ * flood of unsigned requests is turned away before any Device lookup.
+ */
+const ingestIpRateLimitMiddleware = (req, res, next) => {
+  if (admitIp(req.ip)) return next();
+  countReceived("http");
+  countRejected("http", "rate-limited");
+  res.set("Retry-After", "1");
+  return res.status(429).json({ message: "Ingest rate limit exceeded" });
+};
+
+module.exports = ingestIpRateLimitMiddleware;
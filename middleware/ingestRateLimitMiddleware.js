@@ -0,0 +1,26 @@
+// middleware/ingestRateLimitMiddleware.js
+const { admit } = require("../utils/ingest/rateLimit");
+const { countReceived, countRejected } = require("../utils/telemetry");
+
+/**
+ * Per-device token bucket for HTTP ingest (same buckets as MQTT).
+ * Runs after deviceAuthMiddleware: only the authenticated device's bucket is
+ * charged, so nobody can use up another device's limit.
+ */
+const ingestRateLimitMiddleware = async (req, res, next) => {
+  try {
+    const { allowed } = await admit(req.device.deviceId);
+    if (!allowed) {
+      countReceived("http");
+      countRejected("http", "rate-limited");
+      res.set("Retry-After", "1");
+      return res.status(429).json({ message: "Ingest rate limit exceeded" });
+    }
+    next();
+  } catch (err) {
+    console.error("❌ Ingest rate limit error:", err);
+    next();
+  }
+};
+
+module.exports = ingestRateLimitMiddleware;
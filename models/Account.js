@@ -13,6 +13,7 @@ const AccountSchema = new mongoose.Schema({
   country: { type: String },
   city: { type: String },
   organizationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', default: null },
+  timezone: { type: String }, // IANA zone for profiles without their own
 
   userProfiles: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
   defaultUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
@@ -0,0 +1,36 @@
+// models/DeadLetter.js
+const mongoose = require("mongoose");
+
+// Ingest messages that were dropped, kept verbatim so they can be replayed later.
+// Removed DEAD_LETTER_TTL_DAYS (default 30) after they were received, so a
+// chatty unclaimed device cannot grow the collection without bound.
+const TTL_DAYS = Number(process.env.DEAD_LETTER_TTL_DAYS) || 30;
+
+const DeadLetterSchema = new mongoose.Schema({
+  transport: { type: String, enum: ["mqtt", "http"], required: true },
+  topic: { type: String, default: null },
+  deviceId: { type: String, default: null, index: true },
+  encoding: { type: String, enum: ["json", "cbor", "msgpack"], default: "json" },
+  raw: { type: String, required: true },          // body exactly as received (base64 unless json)
+  reason: { type: String, required: true, index: true }, // parse-error | unknown-device | violation | no-change | error ...
+  detail: { type: String },                       // e.g. "HR>max,Stress>max"
+  receivedAt: { type: Date, default: Date.now },
+
+  status: {
+    type: String,
+    enum: ["new", "replayed", "replay-rejected"],
+    default: "new"
+  },
+  replayCount: { type: Number, default: 0 },
+  lastReplayAt: { type: Date },
+  lastReplay: {
+    reason: String,
+    detail: String,
+    healthDataId: { type: mongoose.Schema.Types.ObjectId, ref: "HealthData" }
+  },
+}, { timestamps: true });
+
+DeadLetterSchema.index({ receivedAt: 1 }, { expireAfterSeconds: TTL_DAYS * 24 * 3600 });
+DeadLetterSchema.index({ reason: 1, receivedAt: -1 });
+
+module.exports = mongoose.model("DeadLetter", DeadLetterSchema);
@@ -19,9 +19,39 @@ const DeviceSchema = new mongoose.Schema({
   createdAt: { type: Date, default: Date.now },              // Created Date
   validity: { type: Date, required: true },                 // Validity Date
   userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // User who owns the device
-  profileVersion: { type: Number, default: 1 }
+  profileVersion: { type: Number, default: 1 },
+  // HMAC ingest secret (encrypted, see utils/deviceCredentials.js)
+  credentials: {
+    secret: { type: String, select: false },
+    version: { type: Number, default: 0 },
+    issuedAt: { type: Date },
+    revokedAt: { type: Date, default: null }
+  },
+  // estimated clock offset (server - device), refreshed by ingest
+  clock: {
+    offsetMs: { type: Number },
+    samples: { type: Number },
+    skewed: { type: Boolean, default: false },
+    updatedAt: { type: Date }
+  },
+  // ingest rate limiting, see utils/ingest/rateLimit.js
+  throttle: {
+    dropped: { type: Number, default: 0 },
+    sampled: { type: Number, default: 0 },
+    lastExceededAt: { type: Date },
+    flagged: { type: Boolean, default: false },   // kept exceeding its limit
+    flaggedAt: { type: Date }
+  }
 });
 
 DeviceSchema.index({ profileId: 1 });
 
+// never send the (encrypted) ingest secret to clients
+DeviceSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    if (ret.credentials) delete ret.credentials.secret;
+    return ret;
+  }
+});
+
 module.exports = mongoose.model("Device", DeviceSchema);
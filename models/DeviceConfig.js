@@ -0,0 +1,23 @@
+// models/DeviceConfig.js
+const mongoose = require("mongoose");
+
+// One row per config version pushed to a device on /{deviceId}/config.
+const DeviceConfigSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true },
+  version: { type: Number, required: true },
+  hash: { type: String, required: true },       // content hash, to skip re-sending identical configs
+  document: { type: Object, required: true },   // exactly what was published
+  status: {
+    type: String,
+    enum: ["pending", "acked", "failed", "superseded"],
+    default: "pending"
+  },
+  sentAt: { type: Date },
+  ackedAt: { type: Date },
+  failedAt: { type: Date },
+  error: { type: String },
+}, { timestamps: true });
+
+DeviceConfigSchema.index({ deviceId: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model("DeviceConfig", DeviceConfigSchema);
@@ -14,12 +14,38 @@ const MetricSchema = new mongoose.Schema({
   alertMax: Number,
 }, { _id: false });
 
+// UART CSV line layout, see config/uartLayouts.js for the format
+const UartFieldSchema = new mongoose.Schema({
+  index: Number,                               // position after the tag
+  path: { type: String, required: true },      // heartRate | metrics.sdnn | signals.motion
+  type: { type: String, enum: ['number', 'int', 'bool', 'string'], default: 'number' },
+  scale: Number,
+  offset: Number,
+}, { _id: false });
+
+const UartLayoutSchema = new mongoose.Schema({
+  tag: { type: String, required: true, uppercase: true, trim: true },
+  firmware: { type: String, trim: true },      // "2.1.0", "2.*" or empty for any
+  minFields: Number,
+  fields: [UartFieldSchema],
+}, { _id: false });
+
+// per-device ingest limit for this model, see utils/ingest/rateLimit.js
+const RateLimitSchema = new mongoose.Schema({
+  ratePerSec: Number,                                    // token refill rate
+  burst: Number,                                         // bucket size
+  onExceed: { type: String, enum: ['drop', 'sample'], default: 'drop' },
+  sampleEvery: Number,                                   // with 'sample': keep 1 in N excess messages
+}, { _id: false });
+
 const DeviceModelSchema = new mongoose.Schema({
   code: { type: String, required: true, unique: true }, // make code unique
   name: { type: String, required: true, trim: true },
   manufacturerCode: { type: String, trim: true },
   manufacturerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Manufacturer' },
   metrics: [MetricSchema],
+  uartLayouts: [UartLayoutSchema],
+  rateLimit: RateLimitSchema,
 }, { collection: 'deviceModels', timestamps: true });
 
 module.exports = mongoose.model('DeviceModel', DeviceModelSchema);
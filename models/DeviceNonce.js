@@ -0,0 +1,13 @@
+// models/DeviceNonce.js
+const mongoose = require("mongoose");
+
+// Nonces seen on signed ingest requests; a repeat inside the TTL is a replay.
+const DeviceNonceSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true },
+  nonce: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now, expires: 600 }, // > signature TTL on both sides
+});
+
+DeviceNonceSchema.index({ deviceId: 1, nonce: 1 }, { unique: true });
+
+module.exports = mongoose.model("DeviceNonce", DeviceNonceSchema);
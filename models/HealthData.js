@@ -1,19 +1,35 @@
 const mongoose = require("mongoose");
+const { TIMESERIES_COLLECTION, TIMESERIES_OPTIONS, useTimeseries } = require("../config/healthDataStorage");
+
+const TIMESERIES = useTimeseries();
 
 const HealthDataSchema = new mongoose.Schema({
     deviceId: { type: String, required: true },
-    timestamp: { type: Date, default: Date.now },
-    temperature: { type: Number, required: true },
-    humidity: { type: Number, required: true },
-    iaq: { type: Number, required: true },
-    eco2: { type: Number, required: true },
-    tvoc: { type: Number, required: true },
-    etoh: { type: Number, required: true },
-    hrv: { type: Number, required: true },
-    stress: { type: Number, required: true },
-    respiration: { type: Number, required: true },
-    heartRate: { type: Number, required: true },
-    metrics: {
+    // when the sensor measured (device clock, skew-corrected); `receivedAt` is server arrival
+    timestamp: { type: Date, default: Date.now, alias: "measuredAt" },
+    receivedAt: { type: Date },
+    reprocessedAt: { type: Date },  // last re-derived from raw (scripts/reprocessHealthData.js)
+    seq: { type: Number },        // device message sequence number, when sent
+    msgId: { type: String },      // device message id, when sent instead of seq
+    clock: {
+        deviceTime: { type: Date },   // timestamp as reported by the device
+        skewMs: { type: Number },     // estimated device offset at ingest (server - device)
+        corrected: { type: Boolean },
+        flagged: { type: Boolean }
+    },
+    // not required: averaged window records only carry the metrics of their window
+    temperature: { type: Number },
+    humidity: { type: Number },
+    iaq: { type: Number },
+    eco2: { type: Number },
+    tvoc: { type: Number },
+    etoh: { type: Number },
+    hrv: { type: Number },
+    stress: { type: Number },
+    respiration: { type: Number },
+    heartRate: { type: Number },
+    // strict: false so UART layouts declared on a DeviceModel can add new metric keys
+    metrics: new mongoose.Schema({
         nn50: { type: Number },
         sdsd: { type: Number },
         mxdmn: { type: Number },
@@ -81,25 +97,78 @@ const HealthDataSchema = new mongoose.Schema({
         sd1sd2: { type: Number },
         sns_index: { type: Number },
         pns_index: { type: Number }
-    },
-    signals: {
+    }, { _id: false, strict: false }),
+    signals: new mongoose.Schema({
         motion: { type: Number },
         presence: { type: Number },
         activity: { type: Number },
         battery: { type: Number },
         mic: { type: Number },
-        rrIntervals: [{ type: Number }],
-        rawWaveform: [{ type: Number }]
+        // legacy: new readings keep these in SignalChunk, see signalRefs
+        rrIntervals: { type: [Number], default: undefined },
+        rawWaveform: { type: [Number], default: undefined }
+    }, { _id: false, strict: false }),
+    // where this reading's RR / waveform went (SignalChunk bucket)
+    signalRefs: {
+        rr: { bucketStart: { type: Date }, count: { type: Number } },
+        waveform: { bucketStart: { type: Date }, count: { type: Number } }
+    },
+
+    // per-field quality against metricSpec: { HR: "above_max", Temp: "ok", ... }
+    quality: { type: Object },
+    qualityFlags: [{ type: String, enum: ["below_min", "above_max", "stale"] }], // distinct non-ok flags
+
+    // averaged record for one metricSpec avgSec window (utils/ingest/window.js)
+    window: {
+        sec: { type: Number },
+        start: { type: Date },
+        end: { type: Date },
+        count: { type: Number },     // readings in the window
+        stats: { type: Object }      // { HR: { min, max, count }, ... }
+    },
+    // paths whose values moved from this reading into an averaged window record
+    windowedFields: { type: [String], default: undefined },
+
+    // set on records whose metrics the server computed (utils/hrvJob.js); device-computed ones have none
+    computed: {
+        algorithm: { type: String },     // "hrv"
+        version: { type: String },       // HRV_ALGO_VERSION at compute time
+        rrCount: { type: Number },       // clean RR intervals used
+        rrDropped: { type: Number },     // out of range / ectopic
+        computedAt: { type: Date },
+        metrics: { type: Object }        // the computed HRV metrics, kept apart from device-sent hrv / metrics.*
+    },
+
+    // soft retraction (presence 1→0); hidden from data queries, see /data/retractions
+    retractedAt: { type: Date, default: null },
+    retraction: {
+        reason: { type: String },
+        event: {
+            from: { type: Number },
+            to: { type: Number },
+            at: { type: Date },          // measured time of the reading that triggered it
+            windowSec: { type: Number }
+        }
     },
 
     // ✅ Raw storage for debugging/logging UART packets
     raw: {
         type: Object,  // catch-all raw UART JSON payload
         default: {}
-    }
+    },
+    // paths the raw lines set (heartRate, metrics.sdnn…); reprocessing re-derives exactly these
+    lineFields: { type: [String], default: undefined }
+
+}, TIMESERIES ? { collection: TIMESERIES_COLLECTION, timeseries: TIMESERIES_OPTIONS } : {});
 
-});
+// secondary indexes stay plain on the time-series collection
+const partial = (filter) => (TIMESERIES ? {} : { partialFilterExpression: filter });
 
 HealthDataSchema.index({ deviceId: 1, timestamp: -1 });
+HealthDataSchema.index({ deviceId: 1, receivedAt: -1 });
+HealthDataSchema.index({ receivedAt: -1 }); // rollup catch-up (utils/rollups.js)
+HealthDataSchema.index({ deviceId: 1, qualityFlags: 1, timestamp: -1 });
+HealthDataSchema.index({ deviceId: 1, "computed.algorithm": 1, timestamp: -1 }, partial({ "computed.algorithm": { $type: "string" } }));
+HealthDataSchema.index({ deviceId: 1, retractedAt: -1 }, partial({ retractedAt: { $type: "date" } }));
 
 module.exports = mongoose.model("HealthData", HealthDataSchema);
@@ -0,0 +1,29 @@
+// models/HealthRollup.js
+const mongoose = require("mongoose");
+
+// Pre-aggregated HealthData per device and time bucket, one collection per
+// resolution (healthrollups_1m … healthrollups_1d), kept by utils/rollups.js.
+// stats: { heartRate: { sum, count, min, max }, sdnn: { … }, … } — avg = sum / count.
+const ROLLUP_LEVELS = { "1m": 60, "5m": 300, "1h": 3600, "1d": 86400 }; // bucket size, seconds
+
+const HealthRollupSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true },
+  bucket: { type: Date, required: true },      // bucket start, aligned to the epoch (UTC)
+  readings: { type: Number, default: 0 },      // HealthData documents in the bucket
+  stats: { type: Object, default: {} },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+HealthRollupSchema.index({ deviceId: 1, bucket: 1 }, { unique: true });
+HealthRollupSchema.index({ updatedAt: -1 }); // where the catch-up resumes after a restart
+
+const models = Object.fromEntries(
+  Object.keys(ROLLUP_LEVELS).map(level => [
+    level,
+    mongoose.model(`HealthRollup_${level}`, HealthRollupSchema, `healthrollups_${level}`),
+  ])
+);
+
+const rollupModel = (level) => models[level];
+
+module.exports = { rollupModel, ROLLUP_LEVELS };
@@ -0,0 +1,20 @@
+// models/IngestMessage.js
+const mongoose = require("mongoose");
+
+// Message ids / sequence numbers already ingested; a repeat inside the TTL is a duplicate.
+const IngestMessageSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true },
+  key: { type: String, required: true },      // "seq:<n>", "seq:<bootId>:<n>" or "id:<msgId>"
+  seq: { type: Number, default: null },
+  boot: { type: String, default: null },      // bootId the seq was sent with
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: Number(process.env.INGEST_DEDUPE_WINDOW_SEC) || 3600
+  },
+});
+
+IngestMessageSchema.index({ deviceId: 1, key: 1 }, { unique: true });
+IngestMessageSchema.index({ deviceId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("IngestMessage", IngestMessageSchema);
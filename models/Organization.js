@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { PLANS } = require("../config/retention");
 
 const OrganizationSchema = new mongoose.Schema({
   organizationId: { 
@@ -44,6 +45,17 @@ const OrganizationSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // data retention, see config/retention.js (retentionDays overrides the plan; null = plan default)
+  plan: {
+    type: String,
+    enum: [...PLANS, null],
+    default: null
+  },
+  retentionDays: {
+    type: Number,
+    min: [1, "retentionDays must be at least 1"],
+    default: null
+  },
   createdAt: { 
     type: Date, 
     default: Date.now 
@@ -0,0 +1,19 @@
+// models/SequenceGap.js
+const mongoose = require("mongoose");
+
+// A run of device sequence numbers that never arrived (filled as late messages come in).
+const SequenceGapSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true },
+  from: { type: Number, required: true },     // first missing seq
+  to: { type: Number, required: true },       // last missing seq
+  size: { type: Number, required: true },     // to - from + 1
+  filled: { type: Number, default: 0 },       // late arrivals inside the range
+  transport: { type: String, enum: ["mqtt", "http"] },
+  detectedAt: { type: Date, default: Date.now },
+  lastFilledAt: { type: Date },
+});
+
+SequenceGapSchema.index({ deviceId: 1, detectedAt: -1 });
+SequenceGapSchema.index({ deviceId: 1, from: 1, to: 1 });
+
+module.exports = mongoose.model("SequenceGap", SequenceGapSchema);
@@ -0,0 +1,24 @@
+// models/SignalChunk.js
+const mongoose = require("mongoose");
+
+// High-rate signals (RR intervals, raw waveform) kept out of HealthData, one
+// document per device, kind and time bucket (see utils/ingest/signals.js).
+const SegmentSchema = new mongoose.Schema({
+  at: { type: Date, required: true },          // measured time of the reading
+  healthDataId: { type: mongoose.Schema.Types.ObjectId, ref: "HealthData" },
+  hz: { type: Number },                        // waveform sample rate, when the device sends it
+  values: [{ type: Number }],
+}, { _id: false });
+
+const SignalChunkSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true },
+  kind: { type: String, enum: ["rr", "waveform"], required: true },
+  bucketStart: { type: Date, required: true },
+  bucketEnd: { type: Date, required: true },
+  count: { type: Number, default: 0 },         // values across all segments
+  segments: [SegmentSchema],
+}, { timestamps: true });
+
+SignalChunkSchema.index({ deviceId: 1, kind: 1, bucketStart: 1 }, { unique: true });
+
+module.exports = mongoose.model("SignalChunk", SignalChunkSchema);
@@ -5,7 +5,35 @@ const SleepDataSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
   sleepQuality: String,
   duration: Number,
-  timestamp: { type: Date, default: Date.now }
+  timestamp: { type: Date, default: Date.now },
+
+  // "device": sent on /sleep as is; "detected": built from HealthData (utils/sleepJob.js)
+  source: { type: String, enum: ["device", "detected"], default: "device" },
+
+  // detected sessions (timestamp = bedTime, duration = totalSleepMin)
+  bedTime: { type: Date },
+  sleepOnsetAt: { type: Date },
+  wakeAt: { type: Date },
+  outOfBedAt: { type: Date },
+  timeInBedMin: { type: Number },
+  sleepOnsetLatencyMin: { type: Number },
+  wasoMin: { type: Number },            // wake after sleep onset, out of bed included
+  totalSleepMin: { type: Number },
+  efficiency: { type: Number },         // % of time in bed asleep
+  awakenings: { type: Number },
+  heartRate: {
+    awake: { type: Number },
+    asleep: { type: Number }            // null when HR did not drop enough to be used
+  },
+  detection: {
+    version: { type: String },          // SLEEP_ALGO_VERSION at detection time
+    epochSec: { type: Number },
+    readings: { type: Number },
+    detectedAt: { type: Date }
+  }
 });
 
+SleepDataSchema.index({ deviceId: 1, timestamp: -1 });
+SleepDataSchema.index({ deviceId: 1, source: 1, bedTime: 1 });
+
 module.exports = mongoose.model("SleepData", SleepDataSchema);
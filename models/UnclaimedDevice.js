@@ -0,0 +1,36 @@
+// models/UnclaimedDevice.js
+const mongoose = require("mongoose");
+
+// deviceIds seen on MQTT without a Device record, waiting for an admin decision.
+const UnclaimedDeviceSchema = new mongoose.Schema({
+  deviceId: { type: String, unique: true, required: true },
+  status: {
+    type: String,
+    enum: ["unclaimed", "approved", "blocked"],
+    default: "unclaimed"
+  },
+
+  firstSeenAt: { type: Date, default: Date.now },
+  lastSeenAt: { type: Date, default: Date.now },
+  messageCount: { type: Number, default: 0 },
+  lastTopic: { type: String },
+
+  // decoded from the deviceId prefix (DevicePrefix, else utils/deviceId.js table)
+  decoded: {
+    prefix: String,
+    deviceType: String,
+    manufacturer: String,
+    sector: String,
+    technology: String,
+    ports: String,
+    source: { type: String, enum: ["devicePrefix", "builtin", "none"] }
+  },
+
+  decidedAt: { type: Date },
+  decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  device: { type: mongoose.Schema.Types.ObjectId, ref: "Device" }, // set once approved
+}, { timestamps: true });
+
+UnclaimedDeviceSchema.index({ status: 1, lastSeenAt: -1 });
+
+module.exports = mongoose.model("UnclaimedDevice", UnclaimedDeviceSchema);
@@ -76,6 +76,9 @@ const UserSchema = new mongoose.Schema({
   waist: {
     type: Number // in cm
   },
+  timezone: {
+    type: String // IANA zone, e.g. "Asia/Kolkata"; falls back to the account's
+  },
   createdAt: { type: Date, default: Date.now },
   passwordMustChange: { type: Boolean, default: false },
   members: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
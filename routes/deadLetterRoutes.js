@@ -0,0 +1,21 @@
+const express = require("express");
+const router = express.Router();
+const deadLetterController = require("../controllers/deadLetterController");
+const authMiddleware = require("../middleware/authMiddleware");
+const superadminMiddleware = require("../middleware/superadminMiddleware");
+
+// All routes require authentication and superadmin access
+router.use(authMiddleware);
+router.use(superadminMiddleware);
+
+// Browse rejected ingest messages
+router.get("/", deadLetterController.listDeadLetters);
+router.get("/summary", deadLetterController.getDeadLetterSummary);
+router.get("/:id", deadLetterController.getDeadLetter);
+
+// Re-run selected messages through ingestion
+router.post("/replay", deadLetterController.replayDeadLetters);
+
+router.delete("/:id", deadLetterController.deleteDeadLetter);
+
+module.exports = router;
@@ -10,6 +10,7 @@ const router = express.Router();
 const ID_RX = /^\d{4}-[0-9A-F]{12}$/i;; // 4 digits 12 hex chars
 const pad5 = (n) => String(n).padStart(5, '0');
 const deviceController= require('../controllers/deviceManagementController');
+const { issueCredentials } = require('../utils/deviceCredentials');
 
 // --- local handlers so we don't need another controller import ---
 async function getByDeviceId(req, res) {
@@ -80,7 +81,7 @@ router.post("/add", authMiddleware, async (req, res) => {
       const p = await DevicePrefix.findByIdAndUpdate(
         prefixId,
         { $inc: { sequence: 1 } },
-        { new: true, session }
+        { new: true }
       );
       if (!p) throw new Error("Invalid prefixId");
 
@@ -102,6 +103,8 @@ router.post("/add", authMiddleware, async (req, res) => {
     }
 
     console.log(">>> Creating device with payload:", payload);
+    // per-device ingest secret; the plain value is returned once below and never again
+    const deviceSecret = issueCredentials(payload);
     const [device] = await Device.create([payload]);
     console.log(">>> Device created:", device._id, "deviceId:", device.deviceId, "status:", device.status);
 
@@ -134,6 +137,7 @@ router.post("/add", authMiddleware, async (req, res) => {
     return res.status(201).json({
       message: "Device added successfully",
       device,
+      deviceSecret,
       createdAt: device.createdAt,
       formattedDate: device.createdAt.toLocaleDateString('en-US', {
         year: 'numeric',
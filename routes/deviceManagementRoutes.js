@@ -5,6 +5,7 @@ const authMiddleware = require("../middleware/authMiddleware");
 const superadminMiddleware = require("../middleware/superadminMiddleware");
 const Device = require('../models/Device');
 const User = require("../models/User");
+const { issueCredentials } = require("../utils/deviceCredentials");
 
 // All routes require authentication and superadmin access
 router.use(authMiddleware);
@@ -25,6 +26,10 @@ router.put("/:id", deviceManagementController.updateDevice);
 // Delete a device by MongoDB ID
 router.delete("/:id", deviceManagementController.deleteDevice);
 
+// Rotate / revoke a device's ingest secret (by deviceId)
+router.post("/:deviceId/credentials/rotate", deviceManagementController.rotateDeviceCredentials);
+router.post("/:deviceId/credentials/revoke", deviceManagementController.revokeDeviceCredentials);
+
 // Add Device
 router.post("/add", authMiddleware, async (req, res) => {
   // Debug: Log entry into the route and important objects.
@@ -56,6 +61,7 @@ router.post("/add", authMiddleware, async (req, res) => {
     });
 
     console.log("Adding device:", device);
+    const deviceSecret = issueCredentials(device);
     await device.save();
     console.log("Device saved successfully:", device._id);
 
@@ -74,6 +80,7 @@ router.post("/add", authMiddleware, async (req, res) => {
     return res.status(201).json({
       message: "Device added successfully",
       device,
+      deviceSecret,
       createdAt: device.createdAt,
       formattedDate: device.createdAt.toLocaleDateString('en-US', {
         year: 'numeric',
@@ -1,11 +1,17 @@
 const express = require("express");
 const mqtt = require("mqtt");
 const dotenv = require("dotenv");
-const HealthData = require("../models/HealthData");
 const SleepData = require("../models/SleepData");
 const Device = require("../models/Device");
-const User = require("../models/User");
-const SPEC = require("../config/metricSpec");
+const { ingestHealth, touchDevice } = require("../utils/ingest");
+const { recordDeadLetter } = require("../utils/ingest/deadLetter");
+const { admit } = require("../utils/ingest/rateLimit");
+const { countReceived, countAccepted, countRejected, setMqttConnected, countMqttReconnect } = require("../utils/telemetry");
+const { resolveEncoding, decodePayload, rawText } = require("../utils/ingest/codec");
+const { pushConfig, maybePushConfig, handleConfigAck } = require("../utils/deviceConfig");
+const { noteUnclaimedDevice } = require("../utils/unclaimedDevices");
+const authMiddleware = require("../middleware/authMiddleware");
+const adminMiddleware = require("../middleware/adminMiddleware");
 
 dotenv.config();
 
@@ -15,6 +21,14 @@ const MQTT_BROKER_URL = process.env.MQTT_BROKER_URL || "mqtt://172.105.98.123:18
 const MQTT_USERNAME = process.env.MQTT_USERNAME || "doze";
 const MQTT_PASSWORD = process.env.MQTT_PASSWORD || "bK67ZwBHSWkl";
 
+// One wildcard subscription per topic kind covers every device, including ones
+// created after connect; deleted devices simply stop matching a Device record.
+// Set MQTT_SHARED_GROUP on each backend instance to split the load through an
+// MQTT v5 shared subscription ($share/<group>/<filter>).
+const MQTT_SHARED_GROUP = (process.env.MQTT_SHARED_GROUP || "").trim();
+const DEVICE_TOPICS = ["/+/health", "/+/health/+", "/+/sleep", "/+/sleep/+", "/+/config/ack"];
+const topicFilter = (t) => (MQTT_SHARED_GROUP ? `$share/${MQTT_SHARED_GROUP}/${t}` : t);
+
 let client;
 
 // ✅ Connect to MQTT Broker with MQTT v5 support
@@ -31,178 +45,67 @@ const connectMQTT = () => {
         },
     });
 
-    client.on("connect", async (connack) => {
+    client.on("connect", (connack) => {
         // console.log("✅ Connected to MQTT broker with MQTT v5");
         // console.log("Connack properties:", connack.properties);
 
-        // Get all devices and subscribe to their topics
-        try {
-            const devices = await Device.find().select("deviceId");
-            // console.log(`✅ Found ${devices.length} devices to subscribe`);
+        setMqttConnected(true);
+        // clean session → subscriptions are re-established on every (re)connect
+        subscribeDeviceTopics();
+    });
 
-            devices.forEach((device) => {
-                if (device.deviceId) {
-                    subscribeToDeviceTopics(device.deviceId);
-                }
-            });
-        } catch (err) {
-            console.error("❌ Error fetching devices:", err);
+    client.on("message", async (rawTopic, message, packet) => {
+        // JSON by default; CBOR / MessagePack via v5 content type or a /cbor, /msgpack topic suffix
+        const { encoding, topic } = resolveEncoding(rawTopic, packet?.properties);
+        const deviceId = topic.split("/")[1];
+        if (!deviceId) {
+            console.warn("⚠️ No device ID found in topic:", topic);
+            return;
         }
-    });
 
-    client.on("message", async (topic, message) => {
-        console.log("📩 Raw MQTT message:", topic, message.toString());
+        countReceived("mqtt");
+
+        // flood protection before any parsing or database work; drops are counted, not logged
+        const { allowed } = await admit(deviceId);
+        if (!allowed) return countRejected("mqtt", "rate-limited");
+
+        const raw = rawText(message, encoding);
+        console.log("📩 Raw MQTT message:", rawTopic, encoding === "json" ? raw : `<${encoding} ${message.length} bytes>`);
 
         try {
-            const data = JSON.parse(message.toString());
-            const topicParts = topic.split("/");
-            const deviceId = topicParts[1];
 
-            if (!deviceId) {
-                console.warn("⚠️ No device ID found in topic:", topic);
+            let data;
+            try {
+                data = decodePayload(message, encoding);
+            } catch (err) {
+                console.warn(`⚠️ Unparseable ${encoding} payload on ${rawTopic}: ${err.message}`);
+                countRejected("mqtt", "parse-error");
+                await recordDeadLetter({ transport: "mqtt", topic, encoding, deviceId, raw, reason: "parse-error", detail: err.message });
                 return;
             }
 
             const device = await Device.findOne({ deviceId });
             if (device) {
-                await Device.findByIdAndUpdate(device._id, {
-                    status: "active",
-                    lastActiveAt: new Date(),
-                });
+                await touchDevice(device);
                 // console.log(`✅ Updated device status to active: ${deviceId}`);
+                maybePushConfig(device, publish)
+                    .catch((err) => console.error(`❌ Config push failed for ${deviceId}:`, err));
             } else {
                 console.warn(`⚠️ Device not found in database: ${deviceId}`);
-            }
-
-            if (topic.includes("/health")) {
-
-                const newData = data; // incoming payload
-
-                const base = {
-                    deviceId,
-                    timestamp: new Date(),
-                    temperature: newData.temperature || 0,
-                    humidity: newData.humidity || 0,
-                    iaq: newData.iaq || 0,
-                    eco2: newData.eco2 || 0,
-                    tvoc: newData.tvoc || 0,
-                    etoh: newData.etoh || 0,
-                    hrv: newData.hrv || 0,
-                    stress: newData.stress || 0,
-                    respiration: newData.resp || newData.respiration || 0,
-                    heartRate: newData.hr || newData.heartRate || 0,
-                    metrics: {
-                        ...(newData.metrics || {})
-                    },
-                    signals: {
-                        motion: newData.signals?.motion ?? null,
-                        presence: newData.signals?.presence ?? null,
-                        battery: newData.signals?.battery ?? null,
-                        activity: newData.signals?.activity ?? null,
-                        mic: newData.signals?.mic ?? null,
-                        rrIntervals: newData.signals?.rrIntervals || [],
-                        rawWaveform: newData.signals?.rawWaveform || []
-                    },
-                    raw: newData.raw || {}
-                };
-
-                // --- presence gating ---
-                const presence = Number(base.signals.presence ?? 1);
-                const state = presenceState.get(deviceId) || { lastPresence: 1, lastValues: {} };
-                if (state.lastPresence === 1 && presence === 0) {
-                    // retract last 12s
-                    const cutoff = new Date(Date.now() - 12000);
-                    const res = await HealthData.deleteMany({ deviceId, timestamp: { $gte: cutoff } });
-                    console.log(`🔴 presence 1→0 for ${deviceId}, retracted ${res.deletedCount} docs`);
-                }
-                if (state.lastPresence === 0 && presence === 1) {
-                    console.log(`🟢 presence 0→1 for ${deviceId}, resume immediately`);
-                }
-                state.lastPresence = presence;
-                presenceState.set(deviceId, state);
-                if (presence === 0) {
-                    console.log(`⏸ skipped store (presence=0) for ${deviceId}`);
-                    return;
-                }
-
-                // --- apply spec rules ---
-                const rules = SPEC[device.deviceType]?.params || {};
-                let violations = [];
-                let changes = [];
-                for (const [key, rule] of Object.entries(rules)) {
-                    const value = newData[key] ?? base[key];
-                    if (value == null) continue;
-                    if (rule.min != null && value < rule.min) violations.push(`${key}<min`);
-                    if (rule.max != null && value > rule.max) violations.push(`${key}>max`);
-                    if (rule.mode === "onchange") {
-                        if (state.lastValues[key] === value) continue; // skip no-change
-                    }
-                    changes.push(key);
-                    state.lastValues[key] = value;
-                }
-                presenceState.set(deviceId, state);
-                if (violations.length) {
-                    console.log(`⚠️ ${deviceId} skipped (violations: ${violations.join(",")})`);
-                    return;
-                }
-                if (!changes.length) {
-                    console.log(`⚠️ ${deviceId} skipped (no-change values)`);
-                    return;
+                countRejected("mqtt", "unknown-device");
+                const unclaimed = await noteUnclaimedDevice(deviceId, { topic });
+                // keep the data of unclaimed devices so it can be replayed after approval
+                if (unclaimed?.status !== "blocked") {
+                    await recordDeadLetter({ transport: "mqtt", topic, encoding, deviceId, raw, reason: "unknown-device" });
                 }
+                return;
+            }
 
-                // --- optional UART CSV parsing (if device sends UART lines) ---
-                let mergedPatch = {};
-                let mergedMetrics = {};
-                let mergedSignals = {};
-                let raws = [];
-
-                const lines = Array.isArray(newData.lines)
-                    ? newData.lines
-                    : (newData.line ? [newData.line] : []);
-
-                for (const ln of lines) {
-                    const parsed = parseUartLine(String(ln));
-                    if (!parsed) continue;
-                    Object.assign(mergedPatch, parsed.patch);
-                    Object.assign(mergedMetrics, parsed.metrics);
-                    Object.assign(mergedSignals, parsed.signals);
-                    raws.push(parsed.raw);
-                }
-
-                // collect extra flat metric keys if present
-                const extraMetrics = {};
-                [
-                    "nn50", "sdsd", "mxdmn", "mo", "amo", "stress_ind",
-                    "lf_pow", "hf_pow", "lf_hf_ratio", "bat", "mean_rr", "mean_hr",
-                    "snore_num", "snore_freq", "pressure", "bvoc", "co2", "gas_percent",
-                    "HRrest", "HRmax", "VO2max", "LactateThres", "TemperatureSkin",
-                    "TemperatureEnv", "TemperatureCore", "ECG", "Barometer", "Accel",
-                    "Gyro", "Magneto", "Steps", "Calories", "Distance", "BloodPressureSys",
-                    "BloodPressureDia", "MuscleOxygenation", "GSR", "SleepStage",
-                    "SleepQuality", "PostureFront", "PostureSide", "Fall", "BMI",
-                    "BodyIndex", "ABSI", "Sports", "Start", "End", "NormalSinusRhythm",
-                    "CHFAnalysis", "Diabetes", "TMT", "sdnn", "rmssd", "pnn50", "hr_median",
-                    "rr_tri_index", "tin_rmssd", "sd1", "sd2", "lf", "hf", "lfhf",
-                    "sample_entropy", "sd1sd2", "sns_index", "pns_index"
-                ].forEach(k => {
-                    if (newData[k] !== undefined) extraMetrics[k] = newData[k];
-                });
-
-                const newHealthData = new HealthData({
-                    ...base,
-                    ...mergedPatch,
-                    metrics: { ...(newData.metrics || {}), ...mergedMetrics, ...extraMetrics },
-                    signals: { ...(newData.signals || {}), ...mergedSignals },
-                    raw: raws.length ? raws.join("\n") : base.raw
-                });
-
-                console.log("🚀 Final Save Payload:", JSON.stringify({
-                    metrics: { ...(newData.metrics || {}), ...mergedMetrics },
-                    signals: { ...(newData.signals || {}), ...mergedSignals }
-                }, null, 2));
-
-                await newHealthData.save();
-                // console.log(`✅ Health data saved for device ${deviceId}`);
+            if (topic.endsWith("/config/ack")) {
+                await handleConfigAck(deviceId, data);
+                countAccepted("mqtt");
+            } else if (topic.includes("/health")) {
+                await ingestHealth({ deviceId, device, payload: data, raw, encoding, transport: "mqtt", topic });
             } else if (topic.includes("/sleep")) {
                 const newSleepData = new SleepData({
                     deviceId,
@@ -212,10 +115,16 @@ const connectMQTT = () => {
                 });
 
                 await newSleepData.save();
+                countAccepted("mqtt");
                 // console.log(`✅ Sleep data saved for device ${deviceId}`);
+            } else {
+                // every received message ends up accepted or rejected
+                countRejected("mqtt", "unknown-topic");
             }
         } catch (error) {
             console.error("❌ Error processing MQTT message:", error);
+            countRejected("mqtt", "error");
+            await recordDeadLetter({ transport: "mqtt", topic, encoding, deviceId, raw, reason: "error", detail: error.message });
         }
     });
 
@@ -227,33 +136,44 @@ const connectMQTT = () => {
         console.log("❌ Disconnected from MQTT broker");
     });
 
+    client.on("close", () => {
+        setMqttConnected(false);
+    });
+
     client.on("reconnect", () => {
+        countMqttReconnect();
         console.log("🔄 Attempting to reconnect to MQTT broker");
     });
 
     return client;
 };
 
-// ✅ Subscribe to topics for a device
-const subscribeToDeviceTopics = (deviceId) => {
-    if (!client || !deviceId) {
-        console.error("❌ Cannot subscribe: MQTT client not initialized or deviceId missing");
-        return;
+// ✅ Publish (QoS 1, retained so a device that reconnects still gets its config)
+const publish = (topic, payload) => new Promise((resolve, reject) => {
+    if (!client || !client.connected) {
+        return reject(new Error("MQTT client is not connected"));
     }
+    client.publish(topic, payload, { qos: 1, retain: true }, (err) => (err ? reject(err) : resolve()));
+});
 
-    const healthTopic = `/${deviceId}/health`;
-    const sleepTopic = `/${deviceId}/sleep`;
+// ✅ Subscribe to the wildcard device topics
+const subscribeDeviceTopics = () => {
+    if (!client) {
+        console.error("❌ Cannot subscribe: MQTT client not initialized");
+        return;
+    }
 
-    client.subscribe([healthTopic, sleepTopic], { qos: 1 }, (err) => {
+    const filters = DEVICE_TOPICS.map(topicFilter);
+    client.subscribe(filters, { qos: 1 }, (err) => {
         if (err) {
-            console.error(`❌ Failed to subscribe to topics for ${deviceId}:`, err);
+            console.error("❌ Failed to subscribe to device topics:", err);
         } else {
-            // console.log(`✅ Subscribed to topics: ${healthTopic}, ${sleepTopic}`);
+            console.log(`✅ Subscribed to ${filters.join(", ")}`);
         }
     });
 };
 
-// ✅ Create API endpoint to subscribe to a new device's topics
+// ✅ Kept for older clients; new devices no longer need an explicit subscribe
 router.post("/subscribe", async (req, res) => {
     try {
         const { deviceId } = req.body;
@@ -266,8 +186,7 @@ router.post("/subscribe", async (req, res) => {
             return res.status(500).json({ message: "MQTT client not initialized" });
         }
 
-        subscribeToDeviceTopics(deviceId);
-        res.json({ message: `Subscribed to topics for device ${deviceId}` });
+        res.json({ message: `Device ${deviceId} is covered by the wildcard subscription` });
     } catch (error) {
         console.error("Error subscribing to device topics:", error);
         res.status(500).json({ message: "Server error" });
@@ -275,6 +194,29 @@ router.post("/subscribe", async (req, res) => {
 });
 
 
+// ✅ Push the metricSpec config to a device now (admin), even if unchanged
+router.post("/config/:deviceId/push", authMiddleware, adminMiddleware, async (req, res) => {
+    try {
+        const device = await Device.findOne({ deviceId: req.params.deviceId });
+        if (!device) {
+            return res.status(404).json({ message: "Device not found" });
+        }
+
+        const row = await pushConfig(device, publish, { force: true });
+        if (!row) {
+            return res.status(400).json({ message: `No metricSpec for device type ${device.deviceType}` });
+        }
+
+        res.status(row.status === "failed" ? 502 : 202).json({
+            message: row.status === "failed" ? `Config v${row.version} could not be published` : `Config v${row.version} sent`,
+            data: row,
+        });
+    } catch (error) {
+        console.error("Error pushing device config:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+});
+
 // ✅ Disconnect from MQTT Broker
 const disconnectMQTT = () => {
     if (client) {
@@ -289,6 +231,8 @@ router.get("/status", (req, res) => {
     res.json({
         status: isConnected ? "connected" : "disconnected",
         message: isConnected ? "MQTT client is connected" : "MQTT client is not connected",
+        subscriptions: DEVICE_TOPICS.map(topicFilter),
+        sharedGroup: MQTT_SHARED_GROUP || null,
     });
 });
 
@@ -297,5 +241,6 @@ module.exports = {
     router,
     connectMQTT,
     disconnectMQTT,
-    subscribeToDeviceTopics,
+    subscribeDeviceTopics,
+    publish,
 };
\ No newline at end of file
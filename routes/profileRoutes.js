@@ -3,7 +3,7 @@ const express = require("express");
 const jwt = require("jsonwebtoken");
 const {
   addProfile, listProfiles, getProfile, updateProfile, deleteProfile,
-  uploadAvatar, avatarUploadMw
+  uploadAvatar, avatarUploadMw, updateAccountTimezone
 } = require("../controllers/profileController");
 
 const router = express.Router();
@@ -34,6 +34,7 @@ router.use(requireAuth);
 // ---- Account-scoped profiles ----
 router.post("/account/:accountId/profiles", addProfile);
 router.get("/account/:accountId/profiles", listProfiles);
+router.put("/account/:accountId/timezone", updateAccountTimezone);
 
 // ---- Profile by userId ----
 router.get("/profiles/:userId", getProfile);
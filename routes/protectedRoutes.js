@@ -12,6 +12,18 @@ const authMiddleware = require("../middleware/authMiddleware");
 const adminMiddleware = require("../middleware/adminMiddleware");
 const mongoose = require("mongoose");
 const deviceController = require("../controllers/deviceManagementController");
+const { resolveTimeField, timeRangeFilter, timeExpr } = require("../utils/ingest/time");
+const { configStatus } = require("../utils/deviceConfig");
+const { validateLayouts, clearParserCache } = require("../utils/ingest/uart");
+const { NOT_RETRACTED } = require("../utils/ingest/presence");
+const { qualityFilter } = require("../utils/ingest/quality");
+const { validateRateLimit, clearRateLimitCache } = require("../utils/ingest/rateLimit");
+const SequenceGap = require("../models/SequenceGap");
+const { readSignals, SIGNAL_FIELDS, MAX_RANGE_SEC } = require("../utils/ingest/signals");
+const { compareHrv, windowSecFor, NOT_COMPUTED } = require("../utils/hrvJob");
+const { HRV_ALGO_VERSION } = require("../utils/hrv");
+const { parseHistoryQuery, runHistory, PERIODS } = require("../utils/history");
+const { timeZoneFor, lastNightRange, zonedTime } = require("../utils/timezone");
 
 const router = express.Router();
 
@@ -36,12 +48,16 @@ router.get('/devices/details/:deviceId', authMiddleware, async (req, res) => {
         const modelName = model?.name || null;
         const manufacturerName = model?.manufacturerId?.name || null;
 
+        // downlink config: last applied version + anything pending/failed
+        const config = await configStatus(device.deviceId);
+
         res.json({
             data: {
                 ...device.toObject(),
                 modelCode,
                 modelName,
                 manufacturerName,
+                config,
             }
         });
 
@@ -155,8 +171,8 @@ router.get("/data/health/:deviceId", authMiddleware, async (req, res) => {
         // Get query parameters for filtering
         const { start, end, limit } = req.query;
 
-        // Build query
-        const query = { deviceId: req.params.deviceId };
+        // Build query (retracted readings only show up in /data/retractions)
+        const query = { deviceId: req.params.deviceId, ...NOT_RETRACTED, ...NOT_COMPUTED };
         if (start && end) {
             query.timestamp = {
                 $gte: new Date(start),
@@ -178,13 +194,21 @@ router.get("/data/health/:deviceId", authMiddleware, async (req, res) => {
 });
 
 // ✅ Get sleep data for a specific device
+//   ?source=device|detected   sent on /sleep, or sessions detected from HealthData (utils/sleepJob.js)
 router.get("/data/sleep/:deviceId", authMiddleware, async (req, res) => {
     try {
         // Get query parameters for filtering
-        const { start, end, limit } = req.query;
+        const { start, end, limit, source } = req.query;
 
         // Build query
         const query = { deviceId: req.params.deviceId };
+        if (source) {
+            if (!["device", "detected"].includes(source)) {
+                return res.status(400).json({ status: "fail", message: "source must be device or detected" });
+            }
+            // device records from before `source` existed have none
+            query.source = source === "device" ? { $ne: "detected" } : "detected";
+        }
         if (start && end) {
             query.timestamp = {
                 $gte: new Date(start),
@@ -204,135 +228,151 @@ router.get("/data/sleep/:deviceId", authMiddleware, async (req, res) => {
     }
 });
 
-// ✅ Get historical data with aggregation - using only HealthData model
+// legacy ?period= rows: averages rounded like before, with the short aliases
+const HISTORY_DECIMALS = { etoh: 2, lfhf: 2 };
+const HISTORY_ALIASES = { temp: "temperature", hr: "heartRate", resp: "respiration" };
+function historyRow({ start, values }) {
+    const row = { timestamp: start };
+    for (const [key, v] of Object.entries(values)) {
+        const f = 10 ** (HISTORY_DECIMALS[key] || 0);
+        row[key] = v.avg == null ? null : Math.round(v.avg * f) / f;
+    }
+    for (const [alias, key] of Object.entries(HISTORY_ALIASES)) row[alias] = row[key];
+    return row;
+}
+
+// ✅ Get historical data in time buckets - from rollups when they fit, else raw HealthData
+//   ?from=&to=      ISO or epoch (default: last 24h, or ?period=24h|48h|72h|7d|30d)
+//   ?interval=      90s | 5m | 1h | 1d … (default picked from the range)
+//   ?metrics=       heartRate,metrics.sdnn,signals.motion,HR …   ?aggs= avg,min,max,count,p50,p95
+//   ?quality= ?timeField=received ?source=raw
+//   ?tz=            IANA zone for the buckets (default: user's, then account's timezone); 1d = local days
+// Without from/to/interval/metrics/aggs the response keeps the older { period, aggregationMinutes, data } rows.
 router.get("/data/history/:deviceId", authMiddleware, async (req, res) => {
     try {
-        const { period = '24h' } = req.query; // Default to 24 hours
         const deviceId = req.params.deviceId;
+        const timeField = resolveTimeField(req.query.timeField); // measured (default) | received
+        const quality = qualityFilter(req.query.quality); // ok | flagged | below_min,above_max,stale
+        if (quality.error) {
+            return res.status(400).json({ status: "fail", message: quality.error });
+        }
+        const q = parseHistoryQuery(req.query);
+        if (q.error) {
+            return res.status(400).json({ status: "fail", message: q.error });
+        }
+        const zone = await timeZoneFor(req);
+        if (zone.error) {
+            return res.status(400).json({ status: "fail", message: zone.error });
+        }
 
-        // Calculate time periods and aggregation intervals
-        const endDate = new Date();
-        let startDate, aggregationMinutes;
-
-        switch (period) {
-            case '24h':
-                startDate = new Date(endDate - 24 * 60 * 60 * 1000);
-                aggregationMinutes = 5; // 5-minute intervals
-                break;
-            case '48h':
-                startDate = new Date(endDate - 48 * 60 * 60 * 1000);
-                aggregationMinutes = 10; // 10-minute intervals
-                break;
-            case '72h':
-                startDate = new Date(endDate - 72 * 60 * 60 * 1000);
-                aggregationMinutes = 15; // 15-minute intervals
-                break;
-            case '7d':
-                startDate = new Date(endDate - 7 * 24 * 60 * 60 * 1000);
-                aggregationMinutes = 60; // 1-hour intervals
-                break;
-            case '30d':
-                startDate = new Date(endDate - 30 * 24 * 60 * 60 * 1000);
-                aggregationMinutes = 360; // 6-hour intervals
-                break;
-            default:
-                startDate = new Date(endDate - 24 * 60 * 60 * 1000);
-                aggregationMinutes = 5;
-        }
-
-        console.log(`Fetching historical data for ${deviceId} from ${startDate} to ${endDate} with ${aggregationMinutes}min intervals`);
-
-        // Comprehensive aggregation pipeline for health data including all metrics
-        const healthData = await HealthData.aggregate([
-            {
-                $match: {
-                    deviceId: deviceId,
-                    timestamp: { $gte: startDate, $lte: endDate }
-                }
-            },
-            {
-                $group: {
-                    _id: {
-                        // Group by time interval (truncate to nearest aggregationMinutes)
-                        year: { $year: "$timestamp" },
-                        month: { $month: "$timestamp" },
-                        day: { $dayOfMonth: "$timestamp" },
-                        hour: { $hour: "$timestamp" },
-                        interval: {
-                            $subtract: [
-                                { $minute: "$timestamp" },
-                                { $mod: [{ $minute: "$timestamp" }, aggregationMinutes] }
-                            ]
-                        }
-                    },
-                    timestamp: { $first: "$timestamp" },
-                    temperature: { $avg: "$temperature" },
-                    humidity: { $avg: "$humidity" },
-                    iaq: { $avg: "$iaq" },
-                    eco2: { $avg: "$eco2" },
-                    tvoc: { $avg: "$tvoc" },
-                    etoh: { $avg: "$etoh" },
-                    hrv: { $avg: "$hrv" },
-                    stress: { $avg: "$stress" },
-                    heartRate: { $avg: "$heartRate" },
-                    respiration: { $avg: "$respiration" },
-
-                    // ✅ HRV UART Metrics
-                    sdnn: { $avg: "$metrics.sdnn" },
-                    rmssd: { $avg: "$metrics.rmssd" },
-                    lf: { $avg: "$metrics.lf" },
-                    hf: { $avg: "$metrics.hf" },
-                    lfhf: { $avg: "$metrics.lfhf" }
-                }
-            },
-            {
-                $project: {
-                    _id: 0,
-                    timestamp: 1,
-                    // Round all values to nearest integer
-                    temperature: { $round: ["$temperature", 0] },
-                    temp: { $round: ["$temperature", 0] },
-                    humidity: { $round: ["$humidity", 0] },
-                    iaq: { $round: ["$iaq", 0] },
-                    eco2: { $round: ["$eco2", 0] },
-                    tvoc: { $round: ["$tvoc", 0] },
-                    etoh: { $round: ["$etoh", 2] },
-                    hrv: { $round: ["$hrv", 0] },
-                    stress: { $round: ["$stress", 0] },
-                    heartRate: { $round: ["$heartRate", 0] },
-                    hr: { $round: ["$heartRate", 0] },
-                    respiration: { $round: ["$respiration", 0] },
-                    resp: { $round: ["$respiration", 0] },
-                    sdnn: { $round: ["$sdnn", 0] },
-                    rmssd: { $round: ["$rmssd", 0] },
-                    lf: { $round: ["$lf", 0] },
-                    hf: { $round: ["$hf", 0] },
-                    lfhf: { $round: ["$lfhf", 2] }
-                }
-            },
-            {
-                $sort: { "timestamp": 1 }
-            }
-        ]);
+        console.log(`Fetching historical data for ${deviceId} from ${q.from.toISOString()} to ${q.to.toISOString()} every ${q.intervalSec}s (${timeField} time, ${zone.tz})`);
+        const { source, buckets } = await runHistory({
+            ...q,
+            deviceId,
+            timeField,
+            filter: quality.filter,
+            source: req.query.source,
+            tz: zone.tz
+        });
+
+        const legacy = !["from", "to", "interval", "metrics", "aggs"].some(k => req.query[k] !== undefined);
+        if (legacy) {
+            return res.json({
+                period: PERIODS[req.query.period] ? req.query.period : "24h",
+                aggregationMinutes: q.intervalSec / 60,
+                timeField,
+                timezone: zone.tz,
+                source,
+                data: buckets.map(historyRow)
+            });
+        }
 
         res.json({
-            period,
-            aggregationMinutes,
-            data: healthData
+            status: "success",
+            deviceId,
+            from: q.from,
+            to: q.to,
+            intervalSec: q.intervalSec,
+            timeField,
+            timezone: zone.tz,
+            metrics: q.metrics.map(m => m.name),
+            aggs: q.aggs,
+            source,
+            results: buckets.length,
+            data: buckets
         });
-
     } catch (error) {
         console.error("Error fetching historical data:", error);
         res.status(500).json({ message: "Server error" });
     }
 });
 
+// ✅ Last night in the user's local time: 18:00 the day before until 12:00 (or now)
+//   ?tz=    IANA zone (default: user's, then account's timezone)
+//   ?date=  YYYY-MM-DD, the night ending that morning (default: the latest)
+const NIGHT_METRICS = ["heartRate", "respiration", "hrv", "rmssd"];
+router.get("/data/last-night/:deviceId", authMiddleware, async (req, res) => {
+    try {
+        const deviceId = req.params.deviceId;
+        const zone = await timeZoneFor(req);
+        if (zone.error) {
+            return res.status(400).json({ status: "fail", message: zone.error });
+        }
+
+        let now = new Date();
+        if (req.query.date) {
+            const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(req.query.date);
+            if (!m) {
+                return res.status(400).json({ status: "fail", message: "date must be YYYY-MM-DD" });
+            }
+            const noon = zonedTime(zone.tz, Number(m[1]), Number(m[2]), Number(m[3]), 12);
+            if (noon < now) now = noon;
+        }
+        const { from, to } = lastNightRange(zone.tz, now);
+
+        const q = parseHistoryQuery({ from: from.toISOString(), to: to.toISOString(), interval: "1h", metrics: NIGHT_METRICS.join(","), aggs: "avg,min,max,count" });
+        const { source, buckets } = await runHistory({ ...q, deviceId, timeField: "measured", tz: zone.tz });
+
+        // whole-night figures from the hourly buckets (averages weighted by count)
+        const summary = {};
+        for (const name of NIGHT_METRICS) {
+            const hours = buckets.map(b => b.values[name]).filter(v => v.count);
+            const count = hours.reduce((n, v) => n + v.count, 0);
+            summary[name] = {
+                avg: count ? hours.reduce((s, v) => s + v.avg * v.count, 0) / count : null,
+                min: count ? Math.min(...hours.map(v => v.min)) : null,
+                max: count ? Math.max(...hours.map(v => v.max)) : null,
+                count
+            };
+        }
+
+        res.json({
+            status: "success",
+            deviceId,
+            timezone: zone.tz,
+            from,
+            to,
+            readings: buckets.reduce((n, b) => n + b.readings, 0),
+            summary,
+            source,
+            hourly: buckets
+        });
+    } catch (error) {
+        console.error("Error fetching last night:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+});
+
 // ✅ Get raw health data for a specific device (no averaging/preprocessing)
 router.get("/data/health/raw/:deviceId", authMiddleware, async (req, res) => {
     try {
         const { deviceId } = req.params;
         const { start, end, limit, page } = req.query;
-        const query = { deviceId: deviceId };
+        const quality = qualityFilter(req.query.quality);
+        if (quality.error) {
+            return res.status(400).json({ status: "fail", message: quality.error });
+        }
+        const query = { deviceId: deviceId, ...NOT_RETRACTED, ...NOT_COMPUTED, ...quality.filter };
         if (start && end) {
             query.timestamp = {
                 $gte: new Date(start),
@@ -384,6 +424,179 @@ router.get("/data/health/raw/:deviceId", authMiddleware, async (req, res) => {
     }
 });
 
+// ✅ Audit view: readings retracted by presence drops (hidden from the data routes above)
+router.get("/data/retractions/:deviceId", authMiddleware, async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        const { start, end, limit, page } = req.query;
+
+        const query = { deviceId, retractedAt: { $ne: null } };
+        if (start || end) {
+            query.timestamp = {};
+            if (start) query.timestamp.$gte = new Date(start);
+            if (end) query.timestamp.$lte = new Date(end);
+        }
+
+        const pageNumber = page ? parseInt(page) : 1;
+        const limitNumber = limit ? parseInt(limit) : 200;
+
+        const [data, totalCount] = await Promise.all([
+            HealthData.find(query)
+                .sort({ timestamp: -1 })
+                .skip((pageNumber - 1) * limitNumber)
+                .limit(limitNumber)
+                .select("+metrics +signals +raw")
+                .lean(),
+            HealthData.countDocuments(query),
+        ]);
+
+        res.json({
+            status: "success",
+            data,
+            pagination: {
+                currentPage: pageNumber,
+                totalPages: Math.ceil(totalCount / limitNumber),
+                totalRecords: totalCount,
+                recordsPerPage: limitNumber,
+            },
+            deviceId
+        });
+    } catch (error) {
+        console.error("Error fetching retracted health data:", error);
+        res.status(500).json({ status: "fail", message: "Server error", error: error.message });
+    }
+});
+
+// ✅ RR intervals / raw waveform for a time range (stored apart from HealthData)
+// ?kind=rr|waveform&start=&end=&maxPoints= (averaged into at most maxPoints points, with min/max)
+// ranges are capped per kind (MAX_RANGE_SEC: 7 days of RR, 1 hour of waveform)
+router.get("/data/signals/:deviceId", authMiddleware, async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        const { kind = "rr", start, end } = req.query;
+        if (!SIGNAL_FIELDS[kind]) {
+            return res.status(400).json({ status: "fail", message: `kind must be one of ${Object.keys(SIGNAL_FIELDS).join(", ")}` });
+        }
+
+        const from = start ? new Date(start) : new Date(Date.now() - 60 * 60 * 1000);
+        const to = end ? new Date(end) : new Date();
+        if (isNaN(from) || isNaN(to)) {
+            return res.status(400).json({ status: "fail", message: "Invalid start or end" });
+        }
+        if (from >= to || (to - from) / 1000 > MAX_RANGE_SEC[kind]) {
+            return res.status(400).json({ status: "fail", message: `start must be before end, at most ${MAX_RANGE_SEC[kind] / 3600}h apart for ${kind}` });
+        }
+        const maxPoints = req.query.maxPoints ? parseInt(req.query.maxPoints) : null;
+
+        const { points, total, downsampled } = await readSignals({ deviceId, kind, from, to, maxPoints });
+
+        res.json({
+            status: "success",
+            deviceId,
+            kind,
+            range: { from, to },
+            total,
+            downsampled,
+            results: points.length,
+            data: points
+        });
+    } catch (error) {
+        console.error("Error fetching signal data:", error);
+        res.status(500).json({ status: "fail", message: "Server error", error: error.message });
+    }
+});
+
+// ✅ HRV computed on the server (from stored RR) next to the device's own values, per window
+// ?start=&end= (default last 24h) &version= (algorithm version, default all)
+router.get("/data/hrv/:deviceId", authMiddleware, async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        const { start, end, version } = req.query;
+
+        const from = start ? new Date(start) : new Date(Date.now() - 24 * 60 * 60 * 1000);
+        const to = end ? new Date(end) : new Date();
+        if (isNaN(from) || isNaN(to)) {
+            return res.status(400).json({ status: "fail", message: "Invalid start or end" });
+        }
+
+        const device = await Device.findOne({ deviceId }).select("deviceId deviceType").lean();
+        if (!device) {
+            return res.status(404).json({ status: "fail", message: "Device not found" });
+        }
+
+        const windowSec = windowSecFor(device);
+        const windows = await compareHrv({ deviceId, sec: windowSec, from, to, version });
+
+        res.json({
+            status: "success",
+            deviceId,
+            windowSec,
+            currentVersion: HRV_ALGO_VERSION,
+            range: { from, to },
+            results: windows.length,
+            data: windows
+        });
+    } catch (error) {
+        console.error("Error comparing HRV:", error);
+        res.status(500).json({ status: "fail", message: "Server error", error: error.message });
+    }
+});
+
+// ✅ Sequence gaps: device messages (by `seq`) that never arrived
+router.get("/data/gaps/:deviceId", authMiddleware, async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        const { start, end, limit, page } = req.query;
+
+        const query = { deviceId };
+        if (start || end) {
+            query.detectedAt = {};
+            if (start) query.detectedAt.$gte = new Date(start);
+            if (end) query.detectedAt.$lte = new Date(end);
+        }
+
+        const pageNumber = page ? parseInt(page) : 1;
+        const limitNumber = limit ? parseInt(limit) : 200;
+
+        const [data, totals] = await Promise.all([
+            SequenceGap.find(query)
+                .sort({ detectedAt: -1 })
+                .skip((pageNumber - 1) * limitNumber)
+                .limit(limitNumber)
+                .lean(),
+            SequenceGap.aggregate([
+                { $match: query },
+                {
+                    $group: {
+                        _id: null,
+                        gaps: { $sum: 1 },
+                        missing: { $sum: { $max: [0, { $subtract: ["$size", "$filled"] }] } },
+                        filled: { $sum: "$filled" }
+                    }
+                }
+            ]),
+        ]);
+        const summary = totals[0] || { gaps: 0, missing: 0, filled: 0 };
+        delete summary._id;
+
+        res.json({
+            status: "success",
+            data,
+            summary,
+            pagination: {
+                currentPage: pageNumber,
+                totalPages: Math.ceil(summary.gaps / limitNumber),
+                totalRecords: summary.gaps,
+                recordsPerPage: limitNumber,
+            },
+            deviceId
+        });
+    } catch (error) {
+        console.error("Error fetching sequence gaps:", error);
+        res.status(500).json({ status: "fail", message: "Server error", error: error.message });
+    }
+});
+
 // ✅ Manually update device statuses (for testing)
 router.post("/devices/update-status", authMiddleware, async (req, res) => {
     try {
@@ -597,17 +810,35 @@ router.get('/public/device-models/:code', async (req, res, next) => {
 // POST /api/device-models
 router.post('/device-models', async (req, res, next) => {
     try {
-        const { code, name, manufacturerCode, metrics } = req.body;
+        const { code, name, manufacturerCode, metrics, uartLayouts, rateLimit } = req.body;
         if (!code || !name) {
             return res.status(400).json({ ok: false, message: "code and name are required" });
         }
 
+        const update = { name, manufacturerCode, metrics };
+        if (uartLayouts !== undefined) {
+            const layoutError = validateLayouts(uartLayouts);
+            if (layoutError) {
+                return res.status(400).json({ ok: false, message: layoutError });
+            }
+            update.uartLayouts = uartLayouts;
+        }
+        if (rateLimit !== undefined) {
+            const rateLimitError = validateRateLimit(rateLimit);
+            if (rateLimitError) {
+                return res.status(400).json({ ok: false, message: rateLimitError });
+            }
+            update.rateLimit = rateLimit;
+        }
+
         const DeviceModel = require('../models/DeviceModel');
         const doc = await DeviceModel.findOneAndUpdate(
             { code },
-            { $set: { name, manufacturerCode, metrics } },
-            { new: true, upsert: true }
+            { $set: update },
+            { new: true, upsert: true, runValidators: true }
         );
+        clearParserCache();
+        clearRateLimitCache();
 
         console.info("[device-models] saved:", doc.code, doc.name);
         res.json({ ok: true, data: doc });
@@ -0,0 +1,101 @@
+// routes/streamRoutes.js
+// Server-Sent Events: push readings as ingestion stores them, plus presence
+// and device status changes, instead of polling /api/data/health/:deviceId.
+//
+//   GET /api/stream/devices/:deviceId
+//   GET /api/stream/profiles/:profileId     (every device on the profile)
+//
+// EventSource cannot set headers, so the JWT may also come as ?token=.
+
+const express = require("express");
+const mongoose = require("mongoose");
+const Device = require("../models/Device");
+const Profile = require("../models/Profile");
+const authMiddleware = require("../middleware/authMiddleware");
+const { canAccessDevice, canAccessProfile } = require("../utils/deviceAccess");
+const { subscribeLive } = require("../utils/liveEvents");
+
+const router = express.Router();
+
+const HEARTBEAT_MS = 25 * 1000;
+
+// ?token= → Authorization header, for EventSource clients
+const tokenFromQuery = (req, res, next) => {
+  if (!req.header("Authorization") && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+function openStream(req, res, devices) {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // nginx: do not buffer
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  send("hello", {
+    devices: devices.map(d => ({ deviceId: d.deviceId, status: d.status, lastActiveAt: d.lastActiveAt })),
+  });
+
+  const unsubscribe = subscribeLive(devices.map(d => d.deviceId), (evt) => send(evt.type, evt));
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
+
+// GET /api/stream/devices/:deviceId
+router.get("/devices/:deviceId", tokenFromQuery, authMiddleware, async (req, res) => {
+  try {
+    const device = await Device.findOne({ deviceId: req.params.deviceId })
+      .select("deviceId status lastActiveAt userId accountId profileId")
+      .lean();
+    if (!device) {
+      return res.status(404).json({ status: "fail", message: "Device not found" });
+    }
+    if (!(await canAccessDevice(req.user, device))) {
+      return res.status(403).json({ status: "fail", message: "Not allowed to read this device" });
+    }
+
+    openStream(req, res, [device]);
+  } catch (error) {
+    console.error("Error opening device stream:", error);
+    if (!res.headersSent) res.status(500).json({ status: "fail", message: "Server error" });
+  }
+});
+
+// GET /api/stream/profiles/:profileId
+router.get("/profiles/:profileId", tokenFromQuery, authMiddleware, async (req, res) => {
+  try {
+    const { profileId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(profileId)) {
+      return res.status(400).json({ status: "fail", message: "Invalid profileId" });
+    }
+
+    const profile = await Profile.findById(profileId).select("userId accountId devices").lean();
+    if (!profile) {
+      return res.status(404).json({ status: "fail", message: "Profile not found" });
+    }
+    if (!(await canAccessProfile(req.user, profile))) {
+      return res.status(403).json({ status: "fail", message: "Not allowed to read this profile" });
+    }
+
+    const devices = await Device.find({ $or: [{ profileId }, { _id: { $in: profile.devices || [] } }] })
+      .select("deviceId status lastActiveAt")
+      .lean();
+
+    openStream(req, res, devices);
+  } catch (error) {
+    console.error("Error opening profile stream:", error);
+    if (!res.headersSent) res.status(500).json({ status: "fail", message: "Server error" });
+  }
+});
+
+module.exports = router;
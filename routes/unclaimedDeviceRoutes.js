@@ -0,0 +1,17 @@
+const express = require("express");
+const router = express.Router();
+const unclaimedDeviceController = require("../controllers/unclaimedDeviceController");
+const authMiddleware = require("../middleware/authMiddleware");
+const superadminMiddleware = require("../middleware/superadminMiddleware");
+
+// All routes require authentication and superadmin access
+router.use(authMiddleware);
+router.use(superadminMiddleware);
+
+// Devices that published on MQTT without a Device record
+router.get("/", unclaimedDeviceController.listUnclaimedDevices);
+
+router.post("/:deviceId/approve", unclaimedDeviceController.approveUnclaimedDevice);
+router.post("/:deviceId/block", unclaimedDeviceController.blockUnclaimedDevice);
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require("express");
 const User = require("../models/User");
 const bcrypt = require("bcryptjs");
 const authMiddleware = require("../middleware/authMiddleware");
+const { isValidTimeZone } = require("../utils/timezone");
 const router = express.Router();
 const multer = require("multer");
 const path = require("path");
@@ -94,7 +95,8 @@ router.put("/profile", authMiddleware, async (req, res) => {
       gender, 
       weight, 
       height, 
-      waist 
+      waist,
+      timezone
     } = req.body;
     
     // Check if email is already in use by another user
@@ -126,6 +128,17 @@ router.put("/profile", authMiddleware, async (req, res) => {
     if (height !== null && height !== undefined && height !== '') updateData.height = height;
     if (waist !== null && waist !== undefined && waist !== '') updateData.waist = waist;
 
+    // IANA time zone used for daily history and "last night"
+    if (timezone != null && typeof timezone !== 'string') {
+      return res.status(400).json({ message: "timezone must be a string" });
+    }
+    if (timezone && timezone.trim() !== '') {
+      if (!isValidTimeZone(timezone.trim())) {
+        return res.status(400).json({ message: `Unknown time zone '${timezone}'` });
+      }
+      updateData.timezone = timezone.trim();
+    }
+
     // Check if there's anything to update
     if (Object.keys(updateData).length === 0) {
       return res.status(400).json({ message: "No valid fields to update" });
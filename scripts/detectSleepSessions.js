@@ -0,0 +1,47 @@
+// scripts/detectSleepSessions.js
+// Backfill or redo detected sleep sessions (utils/sleepJob.js) from HealthData,
+// e.g. for nights before the job ran or after a new SLEEP_ALGO_VERSION.
+//
+// Usage:
+//   node scripts/detectSleepSessions.js [--device <deviceId>] [--from <iso>] [--to <iso>]
+//   (default range: the last 30 days)
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const Device = require("../models/Device");
+const HealthData = require("../models/HealthData");
+const { detectDeviceSleep } = require("../utils/sleepJob");
+
+function arg(name) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i === -1 ? undefined : process.argv[i + 1];
+}
+
+async function main() {
+  const to = arg("to") ? new Date(arg("to")) : new Date();
+  const from = arg("from") ? new Date(arg("from")) : new Date(to - 30 * 24 * 60 * 60 * 1000);
+  if (isNaN(from) || isNaN(to)) throw new Error("--from / --to must be valid dates");
+
+  await connectDB();
+
+  const deviceIds = arg("device")
+    ? [arg("device")]
+    : await HealthData.distinct("deviceId", { timestamp: { $gte: from, $lte: to } });
+  const devices = await Device.find({ deviceId: { $in: deviceIds } }).select("deviceId userId").lean();
+
+  let sessions = 0;
+  for (const [i, device] of devices.entries()) {
+    const n = await detectDeviceSleep(device, from, to);
+    sessions += n;
+    console.log(`… ${i + 1}/${devices.length} ${device.deviceId}: ${n} new`);
+  }
+  console.log(`✅ Sleep detection: ${sessions} new sessions for ${devices.length} devices, ${from.toISOString()} → ${to.toISOString()}`);
+}
+
+main()
+  .catch((err) => {
+    console.error("❌ Sleep detection failed:", err.message || err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
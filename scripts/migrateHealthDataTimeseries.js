@@ -0,0 +1,146 @@
+// scripts/migrateHealthDataTimeseries.js
+// Online copy of HealthData from the regular "healthdatas" collection into the
+// time-series collection (config/healthDataStorage.js). Safe to run while the
+// server keeps writing; every run resumes from its checkpoint.
+//
+// Usage:
+//   node scripts/migrateHealthDataTimeseries.js [--resync-minutes <n>] [--verify]
+//
+// Cut-over:
+//   1. run it (repeat until a run has little left to copy)
+//   2. set HEALTHDATA_STORAGE=timeseries and restart the server
+//   3. run it once more: copies what reached the old collection before the restart
+//   4. --verify compares document counts per collection
+//
+// Each run also re-copies recently written or changed documents (last
+// --resync-minutes, default 15) so retractions and reprocessing that hit
+// already-copied documents are carried over. The old collection is not
+// touched; drop it once the new storage has been checked.
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const HealthData = require("../models/HealthData");
+const { LEGACY_COLLECTION, TIMESERIES_COLLECTION, TIMESERIES_OPTIONS } = require("../config/healthDataStorage");
+
+const BATCH = 1000;
+const CHECKPOINT_ID = "healthdata-timeseries";
+
+function arg(name) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i === -1 ? undefined : process.argv[i + 1];
+}
+
+async function ensureTarget(db) {
+  const [existing] = await db.listCollections({ name: TIMESERIES_COLLECTION }).toArray();
+  if (existing && !existing.options?.timeseries) {
+    throw new Error(`${TIMESERIES_COLLECTION} exists but is not a time-series collection`);
+  }
+  if (!existing) {
+    await db.createCollection(TIMESERIES_COLLECTION, { timeseries: TIMESERIES_OPTIONS });
+    console.log(`🆕 Created time-series collection ${TIMESERIES_COLLECTION}`);
+  }
+
+  const target = db.collection(TIMESERIES_COLLECTION);
+  for (const [fields, options] of HealthData.schema.indexes()) {
+    const { partialFilterExpression, background, ...rest } = options;
+    await target.createIndex(fields, rest);
+  }
+  return target;
+}
+
+// time-series collections have no unique _id index: documents that may be
+// there already (`replace`) are cleared first. Only re-synced documents and the
+// first batch after a checkpoint can be; the deleteMany has no _id index to
+// use, so the device/time range narrows it to the buckets holding them.
+async function copyDocs(target, docs, { replace = false } = {}) {
+  if (!docs.length) return 0;
+  if (replace) {
+    const times = docs.map(d => new Date(d.timestamp).getTime()).filter(Number.isFinite);
+    await target.deleteMany({
+      deviceId: { $in: [...new Set(docs.map(d => d.deviceId))] },
+      ...(times.length === docs.length ? { timestamp: { $gte: new Date(Math.min(...times)), $lte: new Date(Math.max(...times)) } } : {}),
+      _id: { $in: docs.map(d => d._id) },
+    });
+  }
+  await target.insertMany(docs, { ordered: false });
+  return docs.length;
+}
+
+async function main() {
+  const resyncMinutes = arg("resync-minutes") !== undefined ? Number(arg("resync-minutes")) : 15;
+  if (!Number.isFinite(resyncMinutes) || resyncMinutes < 0) throw new Error("--resync-minutes must be a non-negative number");
+
+  await connectDB();
+  const db = mongoose.connection.db;
+  const source = db.collection(LEGACY_COLLECTION);
+  const checkpoints = db.collection("migrations");
+
+  if (process.argv.includes("--verify")) {
+    const target = db.collection(TIMESERIES_COLLECTION);
+    const [a, b] = await Promise.all([source.estimatedDocumentCount(), target.countDocuments({})]);
+    console.log(`${LEGACY_COLLECTION}: ${a}\n${TIMESERIES_COLLECTION}: ${b}\n${a === b ? "✅ counts match" : `⚠️ differ by ${a - b}`}`);
+    return;
+  }
+
+  const runStartedAt = new Date();
+  const target = await ensureTarget(db);
+  const checkpoint = (await checkpoints.findOne({ _id: CHECKPOINT_ID })) || { copied: 0, lastId: null };
+
+  // 1. everything after the checkpoint, in _id (insertion) order
+  let lastId = checkpoint.lastId;
+  let copied = 0;
+  // a run that stopped between insert and checkpoint left the next batch partly copied
+  let resuming = true;
+  for (;;) {
+    const docs = await source
+      .find(lastId ? { _id: { $gt: lastId } } : {})
+      .sort({ _id: 1 })
+      .limit(BATCH)
+      .toArray();
+    if (!docs.length) break;
+    copied += await copyDocs(target, docs, { replace: resuming });
+    resuming = false;
+    lastId = docs[docs.length - 1]._id;
+    await checkpoints.updateOne(
+      { _id: CHECKPOINT_ID },
+      { $set: { lastId, updatedAt: new Date() }, $inc: { copied: docs.length }, $setOnInsert: { startedAt: runStartedAt } },
+      { upsert: true }
+    );
+    if (copied % (BATCH * 10) === 0) console.log(`… ${copied} copied`);
+  }
+
+  // 2. documents changed since the previous run (or the last few minutes)
+  const since = new Date(Math.min(
+    runStartedAt.getTime() - resyncMinutes * 60 * 1000,
+    checkpoint.lastRunAt ? new Date(checkpoint.lastRunAt).getTime() - 60 * 1000 : Infinity
+  ));
+  const changed = source.find({
+    $or: [
+      { _id: { $gte: mongoose.Types.ObjectId.createFromTime(Math.floor(since.getTime() / 1000)) } },
+      { retractedAt: { $gte: since } },
+      { reprocessedAt: { $gte: since } },
+    ],
+    ...(lastId ? { _id: { $lte: lastId } } : {}),
+  });
+  let resynced = 0;
+  let batch = [];
+  for await (const doc of changed) {
+    batch.push(doc);
+    if (batch.length >= BATCH) {
+      resynced += await copyDocs(target, batch, { replace: true });
+      batch = [];
+    }
+  }
+  resynced += await copyDocs(target, batch, { replace: true });
+
+  await checkpoints.updateOne({ _id: CHECKPOINT_ID }, { $set: { lastRunAt: runStartedAt } }, { upsert: true });
+  console.log(`✅ ${copied} copied, ${resynced} re-synced (total ${checkpoint.copied + copied}) → ${TIMESERIES_COLLECTION}`);
+}
+
+main()
+  .catch((err) => {
+    console.error("❌ Time-series migration failed:", err.message || err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
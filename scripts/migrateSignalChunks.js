@@ -0,0 +1,103 @@
+// scripts/migrateSignalChunks.js
+// Move RR intervals / raw waveform embedded in existing HealthData documents
+// into SignalChunk, leaving only signalRefs behind.
+//
+// Usage:
+//   node scripts/migrateSignalChunks.js [--device <deviceId>] [--limit <n>] [--dry-run]
+//
+// Safe to rerun after a crash: a reading's segment is only pushed when its
+// chunk does not hold one with the same healthDataId yet.
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const HealthData = require("../models/HealthData");
+const SignalChunk = require("../models/SignalChunk");
+const { takeSignals, signalOps } = require("../utils/ingest/signals");
+
+const BATCH = 200;
+const DUPLICATE_KEY = 11000;
+
+// push only when the chunk has no segment of this reading; when it has, the
+// upsert collides with the existing chunk on the unique index instead
+const onceFor = (healthDataId) => ({ updateOne: op }) => ({
+  updateOne: { ...op, filter: { ...op.filter, "segments.healthDataId": { $ne: healthDataId } } },
+});
+
+// segments written by an earlier, interrupted run show up as duplicate keys
+async function writeChunks(ops) {
+  try {
+    await SignalChunk.bulkWrite(ops, { ordered: false });
+    return 0;
+  } catch (err) {
+    const errors = err.writeErrors || [];
+    if (!errors.length || errors.some(e => e.code !== DUPLICATE_KEY)) throw err;
+    return errors.length;
+  }
+}
+
+function arg(name) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i === -1 ? undefined : process.argv[i + 1];
+}
+
+async function main() {
+  const dryRun = process.argv.includes("--dry-run");
+  const deviceId = arg("device");
+  const limit = parseInt(arg("limit")) || 0;
+
+  await connectDB();
+
+  const query = {
+    $or: [{ "signals.rrIntervals.0": { $exists: true } }, { "signals.rawWaveform.0": { $exists: true } }],
+    ...(deviceId ? { deviceId } : {}),
+  };
+  const cursor = HealthData.find(query)
+    .select("deviceId timestamp signals signalRefs")
+    .sort({ timestamp: 1 })
+    .limit(limit)
+    .lean()
+    .cursor();
+
+  let docs = 0, values = 0, present = 0;
+  let chunkOps = [], docOps = [];
+
+  const flush = async () => {
+    if (!dryRun && chunkOps.length) {
+      present += await writeChunks(chunkOps);
+      await HealthData.bulkWrite(docOps, { ordered: false });
+    }
+    chunkOps = [];
+    docOps = [];
+  };
+
+  for await (const doc of cursor) {
+    const segments = takeSignals(doc).map(s => ({ ...s, healthDataId: doc._id }));
+    if (!segments.length) continue;
+
+    chunkOps.push(...signalOps(doc.deviceId, segments).map(onceFor(doc._id)));
+    docOps.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: {
+          $set: { signalRefs: doc.signalRefs },
+          $unset: { "signals.rrIntervals": "", "signals.rawWaveform": "" },
+        },
+      },
+    });
+    docs++;
+    values += segments.reduce((n, s) => n + s.values.length, 0);
+    if (docOps.length >= BATCH) await flush();
+  }
+  await flush();
+
+  console.log(`${dryRun ? "🔍 Dry run:" : "✅ Migrated"} ${docs} HealthData docs, ${values} signal values`);
+  if (present) console.log(`   ${present} segment(s) were already in SignalChunk from an earlier run`);
+}
+
+main()
+  .catch((err) => {
+    console.error("❌ Signal chunk migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,43 @@
+// scripts/rebuildRollups.js
+// Backfill or repair history rollups (utils/rollups.js) from HealthData, e.g.
+// after enabling them, or after reprocessing or deleting readings.
+//
+// Usage:
+//   node scripts/rebuildRollups.js [--device <deviceId>] [--from <iso>] [--to <iso>]
+//   (default range: the last 30 days)
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const HealthData = require("../models/HealthData");
+const { rebuildRollups } = require("../utils/rollups");
+
+function arg(name) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i === -1 ? undefined : process.argv[i + 1];
+}
+
+async function main() {
+  const to = arg("to") ? new Date(arg("to")) : new Date();
+  const from = arg("from") ? new Date(arg("from")) : new Date(to - 30 * 24 * 60 * 60 * 1000);
+  if (isNaN(from) || isNaN(to)) throw new Error("--from / --to must be valid dates");
+
+  await connectDB();
+
+  const deviceIds = arg("device")
+    ? [arg("device")]
+    : await HealthData.distinct("deviceId", { timestamp: { $gte: from, $lte: to } });
+
+  for (const [i, deviceId] of deviceIds.entries()) {
+    await rebuildRollups(deviceId, from, to);
+    console.log(`… ${i + 1}/${deviceIds.length} ${deviceId}`);
+  }
+  console.log(`✅ Rollups rebuilt for ${deviceIds.length} devices, ${from.toISOString()} → ${to.toISOString()}`);
+}
+
+main()
+  .catch((err) => {
+    console.error("❌ Rollup rebuild failed:", err.message || err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
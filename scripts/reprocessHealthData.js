@@ -0,0 +1,148 @@
+// scripts/reprocessHealthData.js
+// Re-derive a device's HealthData records from their raw UART lines with the
+// current parsers (model uartLayouts) and metricSpec ranges.
+//
+// Usage:
+//   node scripts/reprocessHealthData.js --device <deviceId> [--from <iso>] [--to <iso>]
+//        [--dry-run | --in-place | --shadow [collection]] [--limit <n>] [--show <n>]
+//
+//   --dry-run   (default) print a diff per changed record, write nothing
+//   --in-place  update the records themselves (sets reprocessedAt)
+//   --shadow    write full reprocessed copies, same _id, to another collection
+//               (default healthdata_reprocessed) to compare before going in place
+//   --show      changed records printed in the diff (default 20, 0 = all)
+//
+// Records without raw lines (JSON-only readings, averaged windows, server HRV)
+// are left alone.
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const Device = require("../models/Device");
+const HealthData = require("../models/HealthData");
+const { reprocessRecord } = require("../utils/ingest/reprocess");
+const { setPath, clearPath } = require("../utils/ingest/spec");
+const { rebuildRollups } = require("../utils/rollups");
+
+const BATCH = 200;
+const DEFAULT_SHADOW = "healthdata_reprocessed";
+
+function arg(name) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i === -1 ? undefined : process.argv[i + 1];
+}
+
+function parseDate(value, name) {
+  if (value === undefined) return null;
+  const d = new Date(value);
+  if (isNaN(d)) throw new Error(`--${name} is not a valid date: ${value}`);
+  return d;
+}
+
+const fmt = (v) => (v === null || v === undefined ? "∅" : typeof v === "object" ? JSON.stringify(v) : String(v));
+
+function printDiff(record, changes) {
+  console.log(`\n${record._id}  ${record.timestamp.toISOString()}`);
+  for (const [path, [before, after]] of Object.entries(changes)) {
+    console.log(`  ${path}: ${fmt(before)} → ${fmt(after)}`);
+  }
+}
+
+async function main() {
+  const deviceId = arg("device");
+  if (!deviceId) throw new Error("--device <deviceId> is required");
+  const from = parseDate(arg("from"), "from");
+  const to = parseDate(arg("to"), "to");
+  const limit = parseInt(arg("limit")) || 0;
+  const show = arg("show") !== undefined ? parseInt(arg("show")) || 0 : 20;
+
+  const inPlace = process.argv.includes("--in-place");
+  const shadowFlag = process.argv.includes("--shadow");
+  if (inPlace && shadowFlag) throw new Error("use either --in-place or --shadow, not both");
+  const shadowArg = arg("shadow");
+  const shadowName = shadowFlag ? (shadowArg && !shadowArg.startsWith("--") ? shadowArg : DEFAULT_SHADOW) : null;
+  if (shadowName === HealthData.collection.collectionName) throw new Error("shadow collection must not be the HealthData collection");
+  const dryRun = !inPlace && !shadowName;
+
+  await connectDB();
+
+  const device = await Device.findOne({ deviceId });
+  if (!device) throw new Error(`device ${deviceId} not found`);
+
+  const query = {
+    deviceId,
+    raw: { $type: "string", $ne: "" },
+    "window.sec": { $exists: false },
+    "computed.algorithm": { $exists: false },
+  };
+  if (from || to) {
+    query.timestamp = {};
+    if (from) query.timestamp.$gte = from;
+    if (to) query.timestamp.$lte = to;
+  }
+
+  const cursor = HealthData.find(query).sort({ timestamp: 1 }).limit(limit).lean().cursor();
+  const shadow = shadowName ? mongoose.connection.collection(shadowName) : null;
+
+  // one scratch state for the whole run, so stale checks see the records in order
+  const state = { lastPresence: 1, lastValues: {} };
+  let seen = 0, changed = 0, printed = 0;
+  let firstChanged = null, lastChanged = null;
+  const fieldCounts = {};
+  let ops = [];
+
+  const flush = async () => {
+    if (!ops.length) return;
+    if (inPlace) await HealthData.bulkWrite(ops, { ordered: false });
+    else await shadow.bulkWrite(ops, { ordered: false });
+    ops = [];
+  };
+
+  for await (const record of cursor) {
+    seen++;
+    const { changes, set, unset } = await reprocessRecord(record, { device, state });
+    const paths = Object.keys(changes);
+
+    if (paths.length) {
+      changed++;
+      firstChanged = firstChanged || record.timestamp;
+      lastChanged = record.timestamp;
+      paths.forEach(p => (fieldCounts[p] = (fieldCounts[p] || 0) + 1));
+      if (dryRun && (!show || printed < show)) {
+        printDiff(record, changes);
+        printed++;
+      }
+    }
+
+    if (inPlace && paths.length) {
+      const update = { $set: { ...set, reprocessedAt: new Date() } };
+      if (Object.keys(unset).length) update.$unset = unset;
+      ops.push({ updateOne: { filter: { _id: record._id }, update } });
+    }
+    if (shadow) {
+      // every record in range, so the shadow collection is a complete copy to diff against
+      const copy = { ...record, metrics: { ...record.metrics }, signals: { ...record.signals }, reprocessedAt: new Date() };
+      for (const [path, value] of Object.entries(set)) setPath(copy, path, value);
+      for (const path of Object.keys(unset)) clearPath(copy, path);
+      ops.push({ replaceOne: { filter: { _id: record._id }, replacement: copy, upsert: true } });
+    }
+    if (ops.length >= BATCH) await flush();
+  }
+  await flush();
+  // history rollups are built from these records
+  if (inPlace && changed) await rebuildRollups(deviceId, firstChanged, lastChanged);
+
+  const mode = dryRun ? "🔍 Dry run:" : inPlace ? "✅ Updated in place:" : `✅ Written to ${shadowName}:`;
+  console.log(`\n${mode} ${changed} of ${seen} records changed for ${deviceId}`);
+  if (dryRun && show && changed > printed) console.log(`   (${changed - printed} more not shown, use --show 0)`);
+  for (const [path, n] of Object.entries(fieldCounts).sort((a, b) => b[1] - a[1])) {
+    console.log(`   ${path}: ${n}`);
+  }
+}
+
+main()
+  .catch((err) => {
+    console.error("❌ Reprocessing failed:", err.message || err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -12,8 +12,15 @@ const cors = require("cors");
 const cron = require("node-cron");
 
 const connectDB = require("./config/db");
-const { logger } = require("./utils/logger");
+const { logger, redactUrl } = require("./utils/logger");
 const { updateAllDeviceStatuses } = require("./utils/deviceStatusManagement");
+const { sweepWindows } = require("./utils/ingest/window");
+const { flushThrottleStats } = require("./utils/ingest/rateLimit");
+const { computeServerHrv } = require("./utils/hrvJob");
+const { applyRetention } = require("./utils/retention");
+const { updateRollups } = require("./utils/rollups");
+const { detectSleepSessions } = require("./utils/sleepJob");
+const { metricsHandler } = require("./utils/telemetry");
 const { verifySmtp } = require('./utils/mailer');
 
 // routes
@@ -27,14 +34,22 @@ const organizationRoutes = require("./routes/organizationRoutes");
 const adminRoutes = require("./routes/adminRoutes");
 const userManagementRoutes = require("./routes/userManagementRoutes");
 const deviceManagementRoutes = require("./routes/deviceManagementRoutes");
+const deadLetterRoutes = require("./routes/deadLetterRoutes");
+const unclaimedDeviceRoutes = require("./routes/unclaimedDeviceRoutes");
+const streamRoutes = require("./routes/streamRoutes");
 const httpRoutes = require("./routes/http");
+const { MAX_BATCH_BODY } = require("./utils/ingest/batch");
 const devicePrefixesRouter = require('./routes/devicePrefixes');
 const profileRoutes = require("./routes/profileRoutes");
 const app = express();
 
 /* ───────────────────────── Middleware ───────────────────────── */
 app.use(cors());
-app.use(express.json());
+// keep the raw body around for device HMAC verification
+const keepRawBody = (req, res, buf) => { req.rawBody = buf; };
+// buffered uploads are larger than the default limit; parsed here, the parser below skips them
+app.use("/api/http/ingest/batch", express.json({ limit: MAX_BATCH_BODY, verify: keepRawBody }));
+app.use(express.json({ verify: keepRawBody }));
 
 // request log (after json, before routes)
 app.use((req, res, next) => {
@@ -50,6 +65,9 @@ app.use("/uploads", express.static("uploads"));
 // mount PUBLIC routes before protected if they share /api prefix
 
 
+// Prometheus scrape target (token or localhost only, see utils/telemetry.js)
+app.get("/metrics", metricsHandler);
+
 app.use("/api/public", publicPendingRoutes);
 app.use("/api/auth", authRoutes);            // ← keep only this one
 app.use("/api/devices", deviceRoutes);
@@ -59,7 +77,10 @@ app.use("/api/organizations", organizationRoutes);
 app.use("/api/admins", adminRoutes);
 app.use("/api/manage/users", userManagementRoutes);
 app.use("/api/manage/devices", deviceManagementRoutes);
+app.use("/api/manage/dead-letters", deadLetterRoutes);
+app.use("/api/manage/unclaimed-devices", unclaimedDeviceRoutes);
 app.use("/api/http", httpRoutes);
+app.use("/api/stream", streamRoutes);
 app.use("/api", profileRoutes);
 
 // keep protected catch-all last
@@ -71,17 +92,17 @@ app.use("/api", protectedRoutes);
 app.use((req, res) => {
   const err = new Error("Route not found");
   err.statusCode = 404;
-  logger.err(err, { route: req.originalUrl, method: req.method });
+  logger.err(err, { route: redactUrl(req.originalUrl), method: req.method });
   res.status(404).json({ status: "fail", message: "Route not found" });
 });
 
 /* ─────────────────────── Error handling ─────────────────────── */
 app.use((err, req, res, next) => {
   logger.err(err, {
-    route: req.originalUrl,
+    route: redactUrl(req.originalUrl),
     body: { ...req.body, password: undefined, newPassword: undefined, currentPassword: undefined },
     params: req.params,
-    query: req.query,
+    query: { ...req.query, token: undefined, access_token: undefined },
     userId: req.user?.userId,
   });
   if (res.headersSent) return next(err);
@@ -119,6 +140,41 @@ connectDB()
       }
     });
 
+    // write averaging windows of devices that went quiet
+    cron.schedule("*/30 * * * * *", () => {
+      sweepWindows().catch((error) => logger.err(error, { where: "cron:sweepWindows" }));
+    });
+
+    // ingest drop counts → Device.throttle (flags devices that keep flooding)
+    cron.schedule("* * * * *", () => {
+      flushThrottleStats().catch((error) => logger.err(error, { where: "cron:flushThrottleStats" }));
+    });
+
+    // HRV from stored RR intervals, one record per finished 540 s window
+    cron.schedule("* * * * *", () => {
+      computeServerHrv().catch((error) => logger.err(error, { where: "cron:computeServerHrv" }));
+    });
+
+    // history rollups (1m/5m/1h/1d) for readings received since the last run
+    cron.schedule("* * * * *", () => {
+      updateRollups().catch((error) => logger.err(error, { where: "cron:updateRollups" }));
+    });
+
+    // sleep sessions from presence, motion and HR, stored once the sleeper is up
+    cron.schedule("*/15 * * * *", () => {
+      detectSleepSessions().catch((error) => logger.err(error, { where: "cron:detectSleepSessions" }));
+    });
+
+    // nightly: drop readings past their organization's retention
+    cron.schedule("30 3 * * *", async () => {
+      try {
+        const result = await applyRetention();
+        logger.info("🧹 Retention applied", { result });
+      } catch (error) {
+        logger.err(error, { where: "cron:applyRetention" });
+      }
+    });
+
     // run once on startup
     updateAllDeviceStatuses()
       .then((result) => logger.info("✅ Initial device status update complete", { result }))
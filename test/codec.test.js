@@ -0,0 +1,42 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { encode: encodeCbor } = require("cbor-x");
+const { encode: encodeMsgpack } = require("@msgpack/msgpack");
+const { resolveEncoding, decodePayload, rawText } = require("../utils/ingest/codec");
+
+const reading = { heartRate: 70, signals: { presence: 1, rrIntervals: [812, 790, 805] } };
+
+test("encoding comes from the topic suffix, which is stripped", () => {
+  assert.deepEqual(resolveEncoding("/DZ01/health/cbor"), { encoding: "cbor", topic: "/DZ01/health" });
+  assert.deepEqual(resolveEncoding("/DZ01/health/msgpack"), { encoding: "msgpack", topic: "/DZ01/health" });
+  assert.deepEqual(resolveEncoding("/DZ01/health"), { encoding: "json", topic: "/DZ01/health" });
+});
+
+test("encoding comes from the v5 content type otherwise", () => {
+  assert.equal(resolveEncoding("/DZ01/health", { contentType: "application/cbor" }).encoding, "cbor");
+  assert.equal(resolveEncoding("/DZ01/health", { contentType: "Application/MsgPack; v=1" }).encoding, "msgpack");
+  assert.equal(resolveEncoding("/DZ01/health", { contentType: "text/plain" }).encoding, "json");
+});
+
+test("all encodings decode to the same plain object", () => {
+  assert.deepEqual(decodePayload(Buffer.from(JSON.stringify(reading))), reading);
+  assert.deepEqual(decodePayload(encodeCbor(reading), "cbor"), reading);
+  assert.deepEqual(decodePayload(Buffer.from(encodeMsgpack(reading)), "msgpack"), reading);
+});
+
+test("typed arrays and maps from binary decoders become plain arrays and objects", () => {
+  const decoded = decodePayload(encodeCbor({ signals: { rawWaveform: new Float32Array([1.5, 2.5]) } }), "cbor");
+  assert.ok(Array.isArray(decoded.signals.rawWaveform));
+  assert.deepEqual(decoded.signals.rawWaveform, [1.5, 2.5]);
+});
+
+test("bad payloads throw", () => {
+  assert.throws(() => decodePayload(Buffer.from("{nope")));
+  assert.throws(() => decodePayload(Buffer.from([0xc1]), "msgpack"));
+});
+
+test("raw text is utf8 for JSON and base64 for binary", () => {
+  assert.equal(rawText(Buffer.from("{\"a\":1}"), "json"), "{\"a\":1}");
+  assert.equal(rawText(Buffer.from([1, 2, 3]), "cbor"), "AQID");
+});
@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseHistoryQuery, parseInterval, DEFAULT_METRICS } = require("../utils/history");
+const { rollupLevelFor, bucketExpr } = require("../utils/rollups");
+
+const now = new Date("2026-01-10T12:00:00Z");
+
+test("intervals as units or plain seconds", () => {
+  assert.equal(parseInterval("90s"), 90);
+  assert.equal(parseInterval("5m"), 300);
+  assert.equal(parseInterval("1H"), 3600);
+  assert.equal(parseInterval("1d"), 86400);
+  assert.equal(parseInterval("120"), 120);
+  assert.equal(parseInterval("0"), null);
+  assert.equal(parseInterval("5w"), null);
+  assert.equal(parseInterval("-5m"), null);
+});
+
+test("period presets set the range and interval", () => {
+  const q = parseHistoryQuery({ period: "7d" }, now);
+  assert.equal(q.to, now);
+  assert.equal(now - q.from, 7 * 86400 * 1000);
+  assert.equal(q.intervalSec, 3600);
+  assert.deepEqual(q.aggs, ["avg"]);
+  assert.deepEqual(q.metrics.map(m => m.name), DEFAULT_METRICS);
+  assert.equal(parseHistoryQuery({}, now).intervalSec, 300);
+});
+
+test("an explicit range gets the smallest nice interval under 300 buckets", () => {
+  const q = parseHistoryQuery({ from: "2026-01-09T12:00:00Z", to: "2026-01-10T12:00:00Z" }, now);
+  assert.equal(q.intervalSec, 300);
+  const week = parseHistoryQuery({ from: "2026-01-03T12:00:00Z", to: "2026-01-10T12:00:00Z" }, now);
+  assert.equal(week.intervalSec, 3600);
+});
+
+test("metric names resolve to paths", () => {
+  const q = parseHistoryQuery({ metrics: "hr, metrics.spo2,HRV", aggs: "P95,min" }, now);
+  assert.deepEqual(q.metrics, [
+    { name: "hr", path: "heartRate" },
+    { name: "metrics.spo2", path: "metrics.spo2" },
+    { name: "HRV", path: "metrics.mean_rr" },
+  ]);
+  assert.deepEqual(q.aggs, ["p95", "min"]);
+});
+
+test("bad queries are rejected", () => {
+  assert.match(parseHistoryQuery({ from: "nope" }, now).error, /ISO dates/);
+  assert.match(parseHistoryQuery({ from: "2026-01-10T13:00:00Z" }, now).error, /before to/);
+  assert.match(parseHistoryQuery({ interval: "soon" }, now).error, /interval must/);
+  assert.match(parseHistoryQuery({ period: "30d", interval: "60" }, now).error, /Too many buckets/);
+  assert.match(parseHistoryQuery({ metrics: "hr,$where" }, now).error, /Unknown metric '\$where'/);
+  assert.match(parseHistoryQuery({ aggs: "median" }, now).error, /Unknown aggregation 'median'/);
+});
+
+test("the coarsest rollup level that tiles the interval", () => {
+  assert.equal(rollupLevelFor(60), "1m");
+  assert.equal(rollupLevelFor(600), "5m");
+  assert.equal(rollupLevelFor(6 * 3600), "1h");
+  assert.equal(rollupLevelFor(7 * 86400), "1d");
+  assert.equal(rollupLevelFor(90), null);
+  // local days in a +05:30 zone only line up with 5m buckets
+  assert.equal(rollupLevelFor(86400, [19800]), "5m");
+  assert.equal(rollupLevelFor(86400, [3600, 7200]), "1h");
+});
+
+test("buckets are epoch-aligned, or local with a zone", () => {
+  assert.deepEqual(bucketExpr("$timestamp", 300000), {
+    $toDate: { $subtract: [{ $toLong: "$timestamp" }, { $mod: [{ $toLong: "$timestamp" }, 300000] }] },
+  });
+  assert.deepEqual(bucketExpr("$bucket", 86400000, "Europe/Berlin"), {
+    $dateTrunc: { date: "$bucket", unit: "day", binSize: 1, timezone: "Europe/Berlin" },
+  });
+  assert.equal(bucketExpr("$bucket", 6 * 3600000, "Asia/Kolkata").$dateTrunc.binSize, 6);
+  assert.equal(bucketExpr("$bucket", 6 * 3600000, "Asia/Kolkata").$dateTrunc.unit, "hour");
+});
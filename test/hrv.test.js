@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { computeHrv, cleanRR } = require("../utils/hrv");
+
+// RR series with a sinusoidal modulation at `hz`, beat-timed
+function modulated(hz, beats = 300, base = 1000, amp = 40) {
+  const rr = [];
+  let t = 0;
+  for (let i = 0; i < beats; i++) {
+    const v = base + amp * Math.sin(2 * Math.PI * hz * t);
+    rr.push(v);
+    t += v / 1000;
+  }
+  return rr;
+}
+
+test("out-of-range and ectopic intervals are dropped", () => {
+  assert.deepEqual(cleanRR([800, 250, 810, 2500, 1200, 820]), [800, 810, 820]);
+});
+
+test("too few clean beats give no result", () => {
+  assert.equal(computeHrv(Array(29).fill(800)), null);
+  assert.equal(computeHrv([...Array(29).fill(800), 100, 5000]), null);
+});
+
+test("time domain on a known series", () => {
+  const rr = Array.from({ length: 60 }, (_, i) => (i % 2 ? 850 : 800));
+  const { metrics, rrUsed, rrDropped } = computeHrv([...rr, 100]);
+  assert.equal(rrUsed, 60);
+  assert.equal(rrDropped, 1);
+  assert.equal(metrics.mean_rr, 825);
+  assert.equal(metrics.rmssd, 50);
+  assert.equal(metrics.nn50, 0);
+  assert.equal(metrics.mxdmn, 50);
+  assert.ok(Math.abs(metrics.sdnn - 25.211) < 0.01, `sdnn ${metrics.sdnn}`);
+  assert.ok(Math.abs(metrics.mean_hr - 72.727) < 0.01);
+});
+
+test("a steady rhythm has no variability", () => {
+  const { metrics } = computeHrv(Array(120).fill(1000));
+  assert.equal(metrics.sdnn, 0);
+  assert.equal(metrics.rmssd, 0);
+  assert.equal(metrics.sd1, 0);
+  assert.equal(metrics.mean_hr, 60);
+});
+
+test("frequency bands follow the modulation frequency", () => {
+  const slow = computeHrv(modulated(0.1)).metrics;
+  const fast = computeHrv(modulated(0.25)).metrics;
+  assert.ok(slow.lf_pow > 10 * slow.hf_pow, `0.1 Hz: lf ${slow.lf_pow} hf ${slow.hf_pow}`);
+  assert.ok(fast.hf_pow > 10 * fast.lf_pow, `0.25 Hz: lf ${fast.lf_pow} hf ${fast.hf_pow}`);
+  assert.equal(slow.lf, slow.lf_pow);
+});
+
+test("short recordings skip the frequency domain", () => {
+  const { metrics } = computeHrv(Array(40).fill(800));
+  assert.equal(metrics.lf_pow, undefined);
+  assert.equal(metrics.sdnn, 0);
+});
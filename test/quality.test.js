@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { assessQuality, qualityFilter } = require("../utils/ingest/quality");
+const { parseUartLine } = require("../utils/ingest/uart");
+
+const device = { deviceId: "DZ01", deviceType: "Dozemate" };
+const T0 = Date.UTC(2026, 0, 1, 3, 0, 0);
+
+function ctxAt(state, sec, doc) {
+  return {
+    deviceId: device.deviceId,
+    device,
+    state,
+    payload: {},
+    transport: "test",
+    live: false,
+    doc: { timestamp: new Date(T0 + sec * 1000), metrics: {}, signals: {}, ...doc },
+  };
+}
+
+test("in-range values are ok", () => {
+  const ctx = ctxAt({}, 0, { heartRate: 60, respiration: 14 });
+  assessQuality(ctx);
+  assert.deepEqual(ctx.doc.quality, { HR: "ok", Respiration: "ok" });
+  assert.deepEqual(ctx.doc.qualityFlags, []);
+});
+
+test("a normal HRV_DATA line raises no flag", () => {
+  const { patch, metrics } = parseUartLine("HRV_DATA," + [800, 50, 40, 20, 70, 3, 1, 30, 60, 1, 1, 1, 1, 0.5, 1, 1].join(","));
+  const ctx = ctxAt({}, 0, { ...patch, metrics });
+  assessQuality(ctx);
+  assert.deepEqual(ctx.doc.qualityFlags, []);
+  assert.equal(ctx.doc.quality.HRV, "ok");
+});
+
+test("out-of-range values are flagged and kept", () => {
+  const ctx = ctxAt({}, 0, { heartRate: 250, respiration: 1 });
+  assessQuality(ctx);
+  assert.equal(ctx.doc.quality.HR, "above_max");
+  assert.equal(ctx.doc.quality.Respiration, "below_min");
+  assert.deepEqual(ctx.doc.qualityFlags.sort(), ["above_max", "below_min"]);
+  assert.equal(ctx.doc.heartRate, 250);
+});
+
+test("a value unchanged for its staleSec is stale, a change resets it", () => {
+  const state = {};
+  const at = (sec, heartRate) => {
+    const ctx = ctxAt(state, sec, { heartRate });
+    assessQuality(ctx);
+    return ctx.doc.quality.HR;
+  };
+  assert.equal(at(0, 60), "ok");
+  assert.equal(at(299, 60), "ok");
+  assert.equal(at(300, 60), "stale");
+  assert.equal(at(301, 61), "ok");
+});
+
+test("metrics without staleSec are never stale", () => {
+  const state = {};
+  for (const sec of [0, 3600]) {
+    const ctx = ctxAt(state, sec, { temperature: 21 });
+    assessQuality(ctx);
+    assert.equal(ctx.doc.quality.Temp, "ok");
+  }
+});
+
+test("quality filters", () => {
+  assert.deepEqual(qualityFilter(undefined), { filter: {} });
+  assert.deepEqual(qualityFilter("ok").filter, { "qualityFlags.0": { $exists: false } });
+  assert.deepEqual(qualityFilter("stale,above_max").filter, { qualityFlags: { $in: ["stale", "above_max"] } });
+  assert.equal(qualityFilter("ok,flagged").filter.$and[0].$or.length, 2);
+  assert.match(qualityFilter("bogus").error, /Unknown quality 'bogus'/);
+});
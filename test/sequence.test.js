@@ -0,0 +1,87 @@
+const test = require("node:test");
+const { mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+const IngestMessage = require("../models/IngestMessage");
+const SequenceGap = require("../models/SequenceGap");
+const { sequenceCheck, releaseMessage, messageKey } = require("../utils/ingest/sequence");
+
+// in-memory stand-ins for the claim and gap collections
+const claims = new Map(); // `${deviceId}|${key}` -> { deviceId, key, seq, boot, createdAt }
+const gaps = [];
+
+// gap and restart notices; on stdout they can garble the runner's reporter stream
+mock.method(console, "log", () => {});
+mock.method(console, "warn", () => {});
+
+IngestMessage.create = async (doc) => {
+  const k = `${doc.deviceId}|${doc.key}`;
+  if (claims.has(k)) throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+  claims.set(k, { ...doc, createdAt: new Date() });
+};
+IngestMessage.updateOne = async ({ deviceId, key, createdAt }, { $set }) => {
+  const claim = claims.get(`${deviceId}|${key}`);
+  if (!claim || !(claim.createdAt < createdAt.$lt)) return { modifiedCount: 0 };
+  Object.assign(claim, $set);
+  return { modifiedCount: 1 };
+};
+IngestMessage.deleteOne = async ({ deviceId, key }) => claims.delete(`${deviceId}|${key}`);
+IngestMessage.findOne = () => ({ sort: () => ({ select: () => ({ lean: async () => null }) }) });
+SequenceGap.create = async (gap) => gaps.push(gap);
+SequenceGap.updateOne = async () => ({});
+
+async function send(deviceId, payload) {
+  const ctx = { deviceId, payload, transport: "test", doc: {}, rejected: null };
+  ctx.reject = (reason, detail) => { ctx.rejected = { reason, detail }; };
+  await sequenceCheck(ctx);
+  return ctx;
+}
+
+test("message keys from seq, seq per boot, or msgId", () => {
+  assert.deepEqual(messageKey({ seq: 5 }), { key: "seq:5", seq: 5, boot: null });
+  assert.deepEqual(messageKey({ seq: 5, bootId: "b1" }), { key: "seq:b1:5", seq: 5, boot: "b1" });
+  assert.deepEqual(messageKey({ msgId: " m-1 " }), { key: "id:m-1", seq: null });
+  assert.equal(messageKey({ seq: -1 }), null);
+  assert.equal(messageKey({}), null);
+});
+
+test("a repeated seq or msgId is a duplicate", async () => {
+  assert.equal((await send("D1", { seq: 1 })).rejected, null);
+  assert.equal((await send("D1", { seq: 1 })).rejected.reason, "duplicate");
+  assert.equal((await send("D1", { msgId: "a" })).doc.msgId, "a");
+  assert.equal((await send("D1", { msgId: "a" })).rejected.reason, "duplicate");
+});
+
+test("forward jumps are recorded as gaps", async () => {
+  await send("D2", { seq: 10 });
+  await send("D2", { seq: 15 });
+  assert.deepEqual(gaps.find(g => g.deviceId === "D2"), { deviceId: "D2", from: 11, to: 14, size: 4, transport: "test" });
+});
+
+test("a redelivered low seq is not mistaken for a counter restart", async () => {
+  for (const seq of [0, 1, 2, 3]) await send("D3", { seq });
+  assert.equal((await send("D3", { seq: 0 })).rejected.reason, "duplicate");
+  assert.equal((await send("D3", { seq: 1 })).rejected.reason, "duplicate");
+});
+
+test("a real restart takes over the old counter's claims", async () => {
+  for (const seq of [0, 1, 2000]) await send("D4", { seq });
+  await new Promise(r => setTimeout(r, 2));
+  const again = await send("D4", { seq: 0 });
+  assert.equal(again.rejected, null);
+  assert.equal(again.doc.seq, 0);
+  assert.equal((await send("D4", { seq: 0 })).rejected.reason, "duplicate");
+});
+
+test("a new boot id starts a fresh counter", async () => {
+  await send("D5", { seq: 0, bootId: "a" });
+  await send("D5", { seq: 1, bootId: "a" });
+  assert.equal((await send("D5", { seq: 0, bootId: "b" })).rejected, null);
+  assert.equal((await send("D5", { seq: 1, bootId: "a" })).rejected.reason, "duplicate");
+});
+
+test("released ids can be sent again", async () => {
+  const first = await send("D6", { msgId: "x" });
+  await releaseMessage(first);
+  assert.equal((await send("D6", { msgId: "x" })).rejected, null);
+});
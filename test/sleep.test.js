@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { detectSleep } = require("../utils/sleep");
+
+const T0 = Date.UTC(2026, 0, 9, 22, 0, 0);
+
+// one reading a minute for `minutes`; `at(min)` overrides the reading at that minute, null drops it
+function night(minutes, at = () => ({})) {
+  const readings = [];
+  for (let min = 0; min < minutes; min++) {
+    const settling = min < 15;
+    const patch = at(min);
+    if (patch === null) continue;
+    readings.push({
+      timestamp: new Date(T0 + min * 60000),
+      heartRate: settling ? 75 : 55,
+      signals: settling ? { presence: 1, activity: 2 } : { presence: 1 },
+      ...patch,
+    });
+  }
+  return readings;
+}
+
+test("no readings, no sessions", () => {
+  assert.deepEqual(detectSleep([]), []);
+});
+
+test("a quiet night", () => {
+  const [s] = detectSleep(night(480));
+  assert.equal(s.bedTime.getTime(), T0);
+  assert.equal(s.sleepOnsetLatencyMin, 19); // 15 settling minutes + the 4 still ones before
+  assert.equal(s.sleepOnsetAt.getTime(), T0 + 19 * 60000);
+  assert.equal(s.timeInBedMin, 480);
+  assert.equal(s.totalSleepMin, 461);
+  assert.equal(s.wasoMin, 0);
+  assert.equal(s.awakenings, 0);
+  assert.equal(s.efficiency, 96);
+  assert.deepEqual(s.heartRate, { awake: 75, asleep: 55 });
+});
+
+test("motion holds until the next motion value", () => {
+  // motion is on-change: 1 at 03:20, nothing more until it drops to 0 half an hour later
+  const [s] = detectSleep(night(480, (min) => {
+    if (min === 200) return { heartRate: 75, signals: { presence: 1, motion: 1 } };
+    if (min > 200 && min < 230) return { heartRate: 75 };
+    if (min === 230) return { signals: { presence: 1, motion: 0 } };
+    return {};
+  }));
+  assert.equal(s.awakenings, 1);
+  assert.equal(s.wasoMin, 37); // minutes 198–234: moving, plus the still margins around it
+  assert.equal(s.totalSleepMin, 461 - 37);
+});
+
+test("leaving the bed ends carried motion", () => {
+  const [s] = detectSleep(night(480, (min) => {
+    if (min === 200) return { signals: { presence: 1, motion: 1 } };
+    if (min === 201) return { signals: { presence: 0 } };
+    return {};
+  }));
+  assert.equal(s.awakenings, 1);
+  assert.equal(s.wasoMin, 8); // minutes 198–205
+});
+
+test("a long gap out of bed splits sessions; short ones are dropped", () => {
+  const readings = night(600, (min) => (min >= 480 && min < 560 ? null : {}));
+  const sessions = detectSleep(readings);
+  assert.equal(sessions.length, 1, "the 40 min after the gap are too short");
+  assert.equal(sessions[0].outOfBedAt.getTime(), T0 + 480 * 60000);
+
+  const two = detectSleep(readings, { minInBedMin: 30 });
+  assert.equal(two.length, 2);
+  assert.equal(two[1].bedTime.getTime(), T0 + 560 * 60000);
+});
+
+test("in bed without a long enough still run is no session", () => {
+  const restless = night(120, (min) => ({ signals: { presence: 1, activity: min % 8 === 0 ? 2 : 0 } }));
+  assert.deepEqual(detectSleep(restless), []);
+});
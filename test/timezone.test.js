@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const User = require("../models/User");
+const Account = require("../models/Account");
+const {
+  isValidTimeZone, tzOffsetSec, zonedTime, localDayStart, offsetsIn, isUtcLike, lastNightRange, timeZoneFor,
+} = require("../utils/timezone");
+
+const iso = (d) => d.toISOString();
+
+test("only IANA names are valid", () => {
+  assert.equal(isValidTimeZone("Asia/Kolkata"), true);
+  assert.equal(isValidTimeZone("UTC"), true);
+  assert.equal(isValidTimeZone("Mars/Olympus"), false);
+  assert.equal(isValidTimeZone(""), false);
+  assert.equal(isValidTimeZone(["UTC"]), false);
+});
+
+test("offsets follow DST", () => {
+  assert.equal(tzOffsetSec("Asia/Kolkata", new Date("2026-01-10T00:00:00Z")), 19800);
+  assert.equal(tzOffsetSec("Europe/Berlin", new Date("2026-01-10T00:00:00Z")), 3600);
+  assert.equal(tzOffsetSec("Europe/Berlin", new Date("2026-07-10T00:00:00Z")), 7200);
+  assert.equal(tzOffsetSec("America/New_York", new Date("2026-01-10T00:00:00Z")), -18000);
+});
+
+test("local wall times next to a DST switch", () => {
+  // Berlin springs forward on 2026-03-29 at 02:00 local
+  assert.equal(iso(zonedTime("Europe/Berlin", 2026, 3, 29, 1)), "2026-03-29T00:00:00.000Z");
+  assert.equal(iso(zonedTime("Europe/Berlin", 2026, 3, 29, 3)), "2026-03-29T01:00:00.000Z");
+  assert.equal(iso(zonedTime("Europe/Berlin", 2026, 3, 0)), "2026-02-27T23:00:00.000Z");
+});
+
+test("local days start at local midnight and can be 23h long", () => {
+  const at = new Date("2026-01-10T20:00:00Z"); // 01:30 on the 11th in Kolkata
+  assert.equal(iso(localDayStart("Asia/Kolkata", at)), "2026-01-10T18:30:00.000Z");
+  assert.equal(iso(localDayStart("Asia/Kolkata", at, 1)), "2026-01-11T18:30:00.000Z");
+
+  const switchDay = new Date("2026-03-29T12:00:00Z");
+  const start = localDayStart("Europe/Berlin", switchDay);
+  const end = localDayStart("Europe/Berlin", switchDay, 1);
+  assert.equal(iso(start), "2026-03-28T23:00:00.000Z");
+  assert.equal((end - start) / 3600000, 23);
+});
+
+test("offsets in a range include both sides of the year", () => {
+  const from = new Date("2026-01-01T00:00:00Z");
+  const to = new Date("2026-01-08T00:00:00Z");
+  assert.deepEqual(offsetsIn("Europe/Berlin", from, to).sort(), [3600, 7200]);
+  assert.deepEqual(offsetsIn("Asia/Kolkata", from, to), [19800]);
+  assert.equal(isUtcLike("UTC", from, to), true);
+  assert.equal(isUtcLike("Africa/Abidjan", from, to), true);
+  assert.equal(isUtcLike("Europe/London", from, to), false);
+});
+
+test("last night runs from 18:00 yesterday to noon today, or to now", () => {
+  const morning = new Date("2026-01-10T08:00:00Z"); // 09:00 in Berlin
+  assert.deepEqual(lastNightRange("Europe/Berlin", morning), {
+    from: new Date("2026-01-09T17:00:00Z"),
+    to: morning,
+  });
+  const afternoon = new Date("2026-01-10T15:00:00Z");
+  assert.deepEqual(lastNightRange("Europe/Berlin", afternoon), {
+    from: new Date("2026-01-09T17:00:00Z"),
+    to: new Date("2026-01-10T11:00:00Z"),
+  });
+});
+
+test("zone for a request: ?tz=, then the user's, then the account's", async () => {
+  const userId = "64b000000000000000000001";
+  let user = null;
+  let account = null;
+  User.findById = () => ({ select: () => ({ lean: async () => user }) });
+  Account.findOne = () => ({ select: () => ({ lean: async () => account }) });
+  const req = (query = {}) => ({ query, user: { userId } });
+
+  assert.deepEqual(await timeZoneFor(req({ tz: "Asia/Kolkata" })), { tz: "Asia/Kolkata" });
+  assert.match((await timeZoneFor(req({ tz: "Nowhere" }))).error, /Unknown time zone 'Nowhere'/);
+
+  user = { timezone: "Europe/Berlin", accountId: "A1" };
+  assert.deepEqual(await timeZoneFor(req()), { tz: "Europe/Berlin" });
+
+  user = { accountId: "A1" };
+  account = { timezone: "America/New_York" };
+  assert.deepEqual(await timeZoneFor(req()), { tz: "America/New_York" });
+
+  account = null;
+  assert.deepEqual(await timeZoneFor(req()), { tz: process.env.DEFAULT_TIMEZONE || "UTC" });
+});
@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const DeviceModel = require("../models/DeviceModel");
+const { parseUartLine, buildParser, resolveLayouts, validateLayouts, mergeUart, clearParserCache } = require("../utils/ingest/uart");
+
+const withModelLayouts = (uartLayouts) => {
+  clearParserCache();
+  DeviceModel.findOne = () => ({ select: () => ({ lean: async () => (uartLayouts ? { uartLayouts } : null) }) });
+};
+
+test("built-in layouts parse flat, metric and signal fields", () => {
+  assert.deepEqual(parseUartLine("TEMP_HUM,22.5,41").patch, { temperature: 22.5, humidity: 41 });
+  assert.deepEqual(parseUartLine("hr,70").patch, { heartRate: 70 });
+  assert.deepEqual(parseUartLine("MOTION,1").signals, { motion: true });
+
+  const hrv = parseUartLine("HRV_DATA," + [800, 50, 40, 20, 70, 3, 1, 30, 60, 1, 1, 1, 1, 0.5, 1, 1].join(","));
+  assert.equal(hrv.metrics.sdnn, 50);
+  assert.equal(hrv.metrics.rmssd, 40);
+  assert.deepEqual(hrv.patch, { hrv: 40, heartRate: 70 });
+});
+
+test("short HRV_DATA lines and unknown tags are kept as raw only", () => {
+  for (const line of ["HRV_DATA,800,50", "FOO,1,2"]) {
+    const parsed = parseUartLine(line);
+    assert.deepEqual([parsed.patch, parsed.metrics, parsed.signals], [{}, {}, {}]);
+    assert.equal(parsed.raw, line);
+  }
+  assert.equal(parseUartLine(""), null);
+});
+
+test("scale, offset, index and types apply per field", () => {
+  const parse = buildParser([{
+    tag: "X",
+    fields: [
+      { index: 1, path: "temperature", scale: 0.1, offset: -40 },
+      { index: 0, path: "metrics.count", type: "int" },
+      { index: 2, path: "signals.mode", type: "string" },
+    ],
+  }]);
+  const { patch, metrics, signals } = parse("X,2.6,650,sleep");
+  assert.equal(patch.temperature, 25);
+  assert.equal(metrics.count, 3);
+  assert.equal(signals.mode, "sleep");
+});
+
+test("layout paths outside the vitals and metrics/signals are rejected and ignored", () => {
+  assert.equal(validateLayouts([{ tag: "HR", fields: [{ path: "heartRate" }] }]), null);
+  assert.match(validateLayouts([{ tag: "X", fields: [{ path: "deviceId" }] }]), /fields\[0\]\.path/);
+  assert.match(validateLayouts([{ tag: "X", fields: [{ path: "metrics.a.b" }] }]), /fields\[0\]\.path/);
+  assert.match(validateLayouts({}), /must be an array/);
+
+  const parse = buildParser([{ tag: "X", fields: [{ path: "timestamp" }, { path: "heartRate" }] }]);
+  assert.deepEqual(parse("X,1,70").patch, { heartRate: 70 });
+});
+
+test("model layouts win per tag, most specific firmware first", () => {
+  const layouts = [
+    { tag: "HR", fields: [{ path: "metrics.any" }] },
+    { tag: "HR", firmware: "2.*", fields: [{ path: "metrics.v2" }] },
+    { tag: "HR", firmware: "2.1.0", fields: [{ path: "metrics.exact" }] },
+  ];
+  const pathFor = (firmware) => resolveLayouts(layouts, firmware).find(l => l.tag === "HR").fields[0].path;
+  assert.equal(pathFor("2.1.0"), "metrics.exact");
+  assert.equal(pathFor("2.3.0"), "metrics.v2");
+  assert.equal(pathFor("1.0"), "metrics.any");
+  assert.ok(resolveLayouts(layouts, "1.0").some(l => l.tag === "TEMP_HUM"));
+});
+
+test("mergeUart folds lines into the document and records what they set", async () => {
+  withModelLayouts(null);
+  const ctx = {
+    device: { deviceId: "DZ01", firmwareVersion: "1.0" },
+    payload: { lines: ["HR,70", "MOTION,0", "FOO,1"] },
+    doc: { metrics: {}, signals: {} },
+  };
+  await mergeUart(ctx);
+  assert.equal(ctx.doc.heartRate, 70);
+  assert.equal(ctx.doc.signals.motion, false);
+  assert.equal(ctx.doc.raw, "HR,70\nMOTION,0\nFOO,1");
+  assert.deepEqual(ctx.doc.lineFields.sort(), ["heartRate", "signals.motion"]);
+});
+
+test("mergeUart uses the device model's layouts", async () => {
+  withModelLayouts([{ tag: "HR", fields: [{ path: "metrics.hr_raw" }] }]);
+  const ctx = { device: { deviceId: "DZ02" }, payload: { line: "HR,71" }, doc: { metrics: {}, signals: {} } };
+  await mergeUart(ctx);
+  assert.equal(ctx.doc.heartRate, undefined);
+  assert.equal(ctx.doc.metrics.hr_raw, 71);
+});
@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { windowAverage, closeWindows, retractWindows } = require("../utils/ingest/window");
+
+const device = { deviceId: "DZ01", deviceType: "Dozemate" };
+const T0 = Date.UTC(2026, 0, 1, 3, 0, 0); // aligned to every avgSec
+
+// a reading as it leaves the quality stage
+function ctxAt(state, sec, doc) {
+  return {
+    deviceId: device.deviceId,
+    device,
+    state,
+    payload: {},
+    changed: [],
+    doc: { timestamp: new Date(T0 + sec * 1000), metrics: {}, signals: { presence: 1 }, quality: {}, qualityFlags: [], ...doc },
+  };
+}
+
+test("periodic values move into a window that closes with the first later reading", async () => {
+  const state = { lastPresence: 1, lastValues: {} };
+
+  const a = ctxAt(state, 0, { heartRate: 60, quality: { HR: "ok" } });
+  await windowAverage(a);
+  assert.equal(a.doc, null, "nothing but HR: the reading has no record of its own");
+  assert.equal(a.windowed, true);
+
+  await windowAverage(ctxAt(state, 2, { heartRate: 70 }));
+  const c = ctxAt(state, 7, { heartRate: 90 });
+  await windowAverage(c);
+
+  assert.equal(c.windowDocs.length, 1);
+  const [w] = c.windowDocs;
+  assert.equal(w.heartRate, 65);
+  assert.deepEqual(w.window.stats.HR, { min: 60, max: 70, count: 2 });
+  assert.equal(w.window.sec, 6);
+  assert.equal(w.timestamp.getTime(), T0);
+  assert.equal(w.quality.HR, "ok");
+});
+
+test("what else the reading carries keeps it, minus the windowed values", async () => {
+  const state = { lastPresence: 1, lastValues: {} };
+  const ctx = ctxAt(state, 0, { heartRate: 60, metrics: { bat: 80 }, quality: { HR: "ok" } });
+  await windowAverage(ctx);
+  assert.ok(ctx.doc);
+  assert.equal(ctx.doc.heartRate, undefined);
+  assert.equal(ctx.doc.quality.HR, undefined);
+  assert.deepEqual(ctx.doc.windowedFields, ["heartRate"]);
+  assert.equal(ctx.doc.metrics.bat, 80);
+});
+
+test("flagged values stay on the reading and out of the window", async () => {
+  const state = { lastPresence: 1, lastValues: {} };
+  const ctx = ctxAt(state, 0, { heartRate: 250, quality: { HR: "above_max" }, qualityFlags: ["above_max"] });
+  await windowAverage(ctx);
+  assert.equal(ctx.doc.heartRate, 250);
+  assert.equal(ctx.doc.windowedFields, undefined);
+  assert.deepEqual(closeWindows(device.deviceId, state), []);
+});
+
+test("a late reading for a window already written stays raw", async () => {
+  const state = { lastPresence: 1, lastValues: {} };
+  await windowAverage(ctxAt(state, 7, { heartRate: 60 }));
+  const late = ctxAt(state, 1, { heartRate: 80, metrics: { bat: 80 } });
+  await windowAverage(late);
+  assert.equal(late.doc.heartRate, 80);
+});
+
+test("retracted samples leave the open windows; closeWindows writes the rest", async () => {
+  const state = { lastPresence: 1, lastValues: {} };
+  await windowAverage(ctxAt(state, 0, { heartRate: 60 }));
+  await windowAverage(ctxAt(state, 3, { heartRate: 100 }));
+  retractWindows(state, new Date(T0 + 3000));
+
+  const docs = closeWindows(device.deviceId, state);
+  assert.equal(docs.length, 1);
+  assert.equal(docs[0].heartRate, 60);
+  assert.equal(docs[0].window.count, 1);
+  assert.deepEqual(state.windows, {});
+});
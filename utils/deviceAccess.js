@@ -0,0 +1,38 @@
+// utils/deviceAccess.js
+// Who may read a device's data: admins and superadmins any device; a user the
+// devices they own, that share their accountId, or that sit on one of their profiles.
+
+const User = require("../models/User");
+const Profile = require("../models/Profile");
+
+const isAdmin = (role) => role === "admin" || role === "superadmin";
+
+async function canAccessDevice(authUser, device) {
+  if (!authUser?.userId || !device) return false;
+  if (isAdmin(authUser.role)) return true;
+  if (device.userId && String(device.userId) === String(authUser.userId)) return true;
+
+  const user = await User.findById(authUser.userId).select("role accountId").lean();
+  if (!user) return false;
+  if (isAdmin(user.role)) return true;
+  if (user.accountId && device.accountId === user.accountId) return true;
+
+  if (!device.profileId) return false;
+  const profile = await Profile.findById(device.profileId).select("userId accountId").lean();
+  return !!profile && canAccessProfileDoc(authUser, user, profile);
+}
+
+function canAccessProfileDoc(authUser, user, profile) {
+  if (String(profile.userId) === String(authUser.userId)) return true;
+  return !!user?.accountId && profile.accountId === user.accountId;
+}
+
+async function canAccessProfile(authUser, profile) {
+  if (!authUser?.userId || !profile) return false;
+  if (isAdmin(authUser.role)) return true;
+  const user = await User.findById(authUser.userId).select("role accountId").lean();
+  if (isAdmin(user?.role)) return true;
+  return canAccessProfileDoc(authUser, user, profile);
+}
+
+module.exports = { canAccessDevice, canAccessProfile };
@@ -0,0 +1,144 @@
+// utils/deviceConfig.js
+// Downlink config: the averaging/reporting rules from config/metricSpec.js, pushed to
+// /{deviceId}/config (retained) and acknowledged by the device on /{deviceId}/config/ack
+// with { version, status: "ok" | "error", error? }.
+
+const crypto = require("crypto");
+const SPEC = require("../config/metricSpec");
+const DeviceConfig = require("../models/DeviceConfig");
+
+const ACK_TIMEOUT_MS = Number(process.env.CONFIG_ACK_TIMEOUT_MS) || 60 * 1000;
+const RETRY_AFTER_MS = 10 * 60 * 1000;   // re-send a failed config at most this often
+const CHECK_EVERY_MS = 5 * 60 * 1000;    // how often an incoming message may trigger a config check
+
+const lastChecked = new Map(); // deviceId -> ms
+
+const configTopic = (deviceId) => `/${deviceId}/config`;
+
+// metricSpec rules for a device type, trimmed to what firmware needs
+function buildConfig(deviceType) {
+  const spec = SPEC[deviceType];
+  if (!spec) return null;
+  const metrics = {};
+  for (const [key, rule] of Object.entries(spec.params || {})) {
+    metrics[key] = {
+      mode: rule.mode,
+      avgSec: rule.avgSec ?? null,
+      min: rule.min ?? null,
+      max: rule.max ?? null,
+    };
+  }
+  return { deviceType, presenceField: spec.presenceField || null, metrics };
+}
+
+const hashConfig = (body) =>
+  crypto.createHash("sha256").update(JSON.stringify(body)).digest("hex").slice(0, 16);
+
+// pending configs nobody acknowledged in time count as failed
+async function expireStale(deviceId) {
+  const now = new Date();
+  await DeviceConfig.updateMany(
+    { deviceId, status: "pending", sentAt: { $lt: new Date(now.getTime() - ACK_TIMEOUT_MS) } },
+    { $set: { status: "failed", failedAt: now, error: "ack timeout" } }
+  );
+}
+
+/**
+ * Publish the current config to a device unless it already has it.
+ * @param {object} device    Device document (deviceId, deviceType)
+ * @param {Function} publish (topic, payload) => Promise
+ * @param {object} [opts]    { force: send even when unchanged }
+ * @returns {Promise<object|null>} the DeviceConfig row, or null when nothing was sent
+ */
+async function pushConfig(device, publish, { force = false } = {}) {
+  const body = buildConfig(device.deviceType);
+  if (!body) return null;
+  const hash = hashConfig(body);
+  const { deviceId } = device;
+
+  await expireStale(deviceId);
+  const latest = await DeviceConfig.findOne({ deviceId }).sort({ version: -1 });
+  if (!force && latest && latest.hash === hash) {
+    if (latest.status !== "failed") return null;
+    if (Date.now() - latest.failedAt?.getTime() < RETRY_AFTER_MS) return null;
+  }
+
+  const version = (latest?.version || 0) + 1;
+  const document = { version, hash, issuedAt: new Date().toISOString(), ...body };
+  const row = await DeviceConfig.create({ deviceId, version, hash, document, status: "pending", sentAt: new Date() });
+
+  try {
+    await publish(configTopic(deviceId), JSON.stringify(document));
+    console.log(`📤 Config v${version} sent to ${deviceId}`);
+  } catch (err) {
+    row.status = "failed";
+    row.failedAt = new Date();
+    row.error = err.message || "publish failed";
+    await row.save();
+    console.error(`❌ Config v${version} publish failed for ${deviceId}:`, err.message);
+  }
+  return row;
+}
+
+// cheap guard for the message path: only look at the DB every CHECK_EVERY_MS per device
+async function maybePushConfig(device, publish) {
+  if (!device) return null;
+  const now = Date.now();
+  if (now - (lastChecked.get(device.deviceId) || 0) < CHECK_EVERY_MS) return null;
+  lastChecked.set(device.deviceId, now);
+  return pushConfig(device, publish);
+}
+
+async function handleConfigAck(deviceId, ack) {
+  const version = Number(ack?.version);
+  if (!Number.isFinite(version)) {
+    console.warn(`⚠️ Config ack without version from ${deviceId}`);
+    return null;
+  }
+
+  const row = await DeviceConfig.findOne({ deviceId, version });
+  if (!row) {
+    console.warn(`⚠️ Config ack for unknown version v${version} from ${deviceId}`);
+    return null;
+  }
+
+  const ok = String(ack.status || "ok").toLowerCase() === "ok";
+  if (ok) {
+    row.status = "acked";
+    row.ackedAt = new Date();
+    row.error = undefined;
+    // anything older that is still open will never be applied now
+    await DeviceConfig.updateMany(
+      { deviceId, version: { $lt: version }, status: { $in: ["pending", "failed"] } },
+      { $set: { status: "superseded" } }
+    );
+  } else {
+    row.status = "failed";
+    row.failedAt = new Date();
+    row.error = ack.error ? String(ack.error) : "rejected by device";
+  }
+  await row.save();
+  console.log(`📥 Config v${version} ${row.status} by ${deviceId}`);
+  return row;
+}
+
+// summary for the device detail endpoint
+async function configStatus(deviceId) {
+  await expireStale(deviceId);
+  const [applied, pending, failed] = await Promise.all([
+    DeviceConfig.findOne({ deviceId, status: "acked" }).sort({ version: -1 }).select("-document").lean(),
+    DeviceConfig.find({ deviceId, status: "pending" }).sort({ version: -1 }).select("-document").lean(),
+    DeviceConfig.find({ deviceId, status: "failed" }).sort({ version: -1 }).limit(10).select("-document").lean(),
+  ]);
+  return { applied, pending, failed };
+}
+
+module.exports = {
+  buildConfig,
+  hashConfig,
+  pushConfig,
+  maybePushConfig,
+  handleConfigAck,
+  configStatus,
+  configTopic,
+};
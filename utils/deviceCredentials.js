@@ -0,0 +1,73 @@
+// utils/deviceCredentials.js
+// Per-device ingest secrets and HMAC request signing.
+//
+// Signature = hex HMAC-SHA256(secret, `${timestamp}.${nonce}.${rawBody}`)
+// sent as X-Device-Timestamp (epoch seconds), X-Device-Nonce, X-Device-Signature.
+// Secrets are stored AES-256-GCM encrypted, because verifying an HMAC needs the plain value.
+
+const crypto = require("crypto");
+
+const SIGNATURE_TTL_SEC = Number(process.env.DEVICE_SIGNATURE_TTL_SEC) || 300;
+
+function encryptionKey() {
+  const base = process.env.DEVICE_SECRET_KEY || process.env.JWT_SECRET;
+  if (!base) throw new Error("DEVICE_SECRET_KEY (or JWT_SECRET) is required for device credentials");
+  return crypto.createHash("sha256").update(base).digest();
+}
+
+function generateSecret() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+// -> "iv.tag.ciphertext" (base64url parts)
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const enc = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), enc].map(b => b.toString("base64url")).join(".");
+}
+
+function decryptSecret(stored) {
+  const [iv, tag, enc] = String(stored).split(".").map(p => Buffer.from(p, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(enc), decipher.final()]).toString("utf8");
+}
+
+function sign(secret, timestamp, nonce, rawBody) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${nonce}.${rawBody || ""}`)
+    .digest("hex");
+}
+
+function safeEqualHex(a, b) {
+  const ba = Buffer.from(String(a || ""), "hex");
+  const bb = Buffer.from(String(b || ""), "hex");
+  return ba.length === bb.length && ba.length > 0 && crypto.timingSafeEqual(ba, bb);
+}
+
+/**
+ * Issue a fresh secret on a Device document (not saved).
+ * Returns the plain secret — the only time it is ever visible.
+ */
+function issueCredentials(device) {
+  const secret = generateSecret();
+  device.credentials = {
+    secret: encryptSecret(secret),
+    version: (device.credentials?.version || 0) + 1,
+    issuedAt: new Date(),
+    revokedAt: null,
+  };
+  return secret;
+}
+
+module.exports = {
+  SIGNATURE_TTL_SEC,
+  generateSecret,
+  encryptSecret,
+  decryptSecret,
+  sign,
+  safeEqualHex,
+  issueCredentials,
+};
@@ -1,5 +1,6 @@
 const Device = require('../models/Device');
 const HealthData = require('../models/HealthData');
+const { publishLive } = require('./liveEvents');
 
 /**
  * Updates the status of all devices based on recent activity
@@ -38,6 +39,9 @@ async function updateAllDeviceStatuses() {
                 
                 statusUpdates[newStatus]++;
                 console.log(`Updated device ${device.deviceId} status to ${newStatus}`);
+                if (device.status !== newStatus) {
+                    publishLive(device.deviceId, 'status', { from: device.status, to: newStatus });
+                }
             }
         }
         
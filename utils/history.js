@@ -0,0 +1,173 @@
+// utils/history.js
+// History queries over HealthData: any range, bucket interval, list of metrics
+// and aggregations. Buckets are aligned to the epoch (UTC), or to local time
+// when a time zone is given (utils/timezone.js: 1d = local midnight to
+// midnight, DST days included), and come from the rollups (utils/rollups.js)
+// whenever they can answer the query; percentiles, quality filters, received
+// time and other metrics scan the raw readings.
+//
+//   metrics  heartRate, hr, temperature …  metrics.sdnn, signals.motion …
+//            metricSpec ids (HR, SDNN …) resolve through config/metricFields.js
+//   aggs     avg, min, max, count, p50, p95 (percentiles need MongoDB 7.0+)
+
+const HealthData = require("../models/HealthData");
+const { NOT_RETRACTED } = require("./ingest/presence");
+const { FLAT_DEFAULTS } = require("./ingest/spec");
+const { parseDeviceTime, timeRangeFilter, timeExpr } = require("./ingest/time");
+const { readRollups, rollupLevelFor, bucketExpr, ROLLUP_FIELDS } = require("./rollups");
+const { NOT_COMPUTED } = require("./hrvJob");
+const { METRIC_FIELDS } = require("../config/metricFields");
+const { isUtcLike, offsetsIn, localDayStart } = require("./timezone");
+
+const AGGS = ["avg", "min", "max", "count", "p50", "p95"];
+const ROLLUP_AGGS = ["avg", "min", "max", "count"];
+const PERCENTILES = { p50: 0.5, p95: 0.95 };
+const DEFAULT_METRICS = Object.keys(ROLLUP_FIELDS);
+const MAX_BUCKETS = 2000;
+const TARGET_BUCKETS = 300; // default interval: the smallest nice one giving at most this many
+const NICE_INTERVALS = [60, 300, 600, 900, 1800, 3600, 3 * 3600, 6 * 3600, 12 * 3600, 86400, 7 * 86400];
+
+const ALIASES = { hr: "heartRate", temp: "temperature", resp: "respiration" };
+const PATH_RX = /^(metrics|signals)\.[A-Za-z_][A-Za-z0-9_]*$/;
+const UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+// legacy ?period= presets: [range, interval] in seconds
+const PERIODS = {
+  "24h": [24 * 3600, 300],
+  "48h": [48 * 3600, 600],
+  "72h": [72 * 3600, 900],
+  "7d": [7 * 86400, 3600],
+  "30d": [30 * 86400, 6 * 3600],
+};
+
+// "90s", "5m", "1h", "1d" or plain seconds
+function parseInterval(v) {
+  const m = /^(\d+)\s*([smhd]?)$/i.exec(String(v).trim());
+  if (!m) return null;
+  const sec = Number(m[1]) * UNITS[(m[2] || "s").toLowerCase()];
+  return sec > 0 ? sec : null;
+}
+
+function metricPath(name) {
+  if (ALIASES[name]) return ALIASES[name];
+  if (FLAT_DEFAULTS.includes(name) || PATH_RX.test(name)) return name;
+  return ROLLUP_FIELDS[name] || METRIC_FIELDS[name] || null;
+}
+
+const list = (v) => String(v).split(",").map(s => s.trim()).filter(Boolean);
+
+/**
+ * Validate history query params (from, to, period, interval, metrics, aggs).
+ * @returns {{ from, to, intervalSec, metrics: Array<{ name, path }>, aggs } | { error }}
+ */
+function parseHistoryQuery(query, now = new Date()) {
+  const preset = PERIODS[query.period] || PERIODS["24h"];
+
+  const to = query.to ? parseDeviceTime(query.to) : now;
+  const from = query.from ? parseDeviceTime(query.from) : new Date(to - preset[0] * 1000);
+  if (!from || !to) return { error: "from/to must be ISO dates or epoch times" };
+  if (from >= to) return { error: "from must be before to" };
+
+  const span = (to - from) / 1000;
+  let intervalSec;
+  if (query.interval) {
+    intervalSec = parseInterval(query.interval);
+    if (!intervalSec) return { error: "interval must look like 90s, 5m, 1h, 1d or a number of seconds" };
+  } else if (!query.from && !query.to) {
+    intervalSec = preset[1];
+  } else {
+    intervalSec = NICE_INTERVALS.find(s => span / s <= TARGET_BUCKETS) || NICE_INTERVALS[NICE_INTERVALS.length - 1];
+  }
+  if (span / intervalSec > MAX_BUCKETS) {
+    return { error: `Too many buckets (${Math.ceil(span / intervalSec)}); use a longer interval or a shorter range (max ${MAX_BUCKETS})` };
+  }
+
+  const names = query.metrics ? list(query.metrics) : DEFAULT_METRICS;
+  const unknown = names.filter(n => !metricPath(n));
+  if (unknown.length) return { error: `Unknown metric '${unknown.join(",")}'. Use flat fields, metrics.<key>, signals.<key> or metricSpec ids` };
+
+  const aggs = query.aggs ? list(query.aggs).map(a => a.toLowerCase()) : ["avg"];
+  const badAggs = aggs.filter(a => !AGGS.includes(a));
+  if (badAggs.length) return { error: `Unknown aggregation '${badAggs.join(",")}'. Use ${AGGS.join(", ")}` };
+
+  return { from, to, intervalSec, metrics: names.map(name => ({ name, path: metricPath(name) })), aggs };
+}
+
+const rollupKeyFor = (path) => Object.keys(ROLLUP_FIELDS).find(k => ROLLUP_FIELDS[k] === path);
+
+// end of the bucket starting at `start`: whole local days when bucketing on a zone
+function bucketEnd(start, intervalSec, tz) {
+  if (tz && intervalSec % 86400 === 0) return localDayStart(tz, start, intervalSec / 86400);
+  return new Date(start.getTime() + intervalSec * 1000);
+}
+
+function fromRollups(rows, { metrics, aggs, intervalSec, tz }) {
+  return rows.map(r => {
+    const values = {};
+    for (const { name, path } of metrics) {
+      const s = r.stats[rollupKeyFor(path)];
+      values[name] = Object.fromEntries(aggs.map(a => [a, a === "count" ? s?.count || 0 : s?.[a] ?? null]));
+    }
+    return { start: r.timestamp, end: bucketEnd(r.timestamp, intervalSec, tz), readings: r.readings, values };
+  });
+}
+
+function accumulator(agg, field) {
+  if (agg === "avg") return { $avg: field };
+  if (agg === "min") return { $min: field };
+  if (agg === "max") return { $max: field };
+  if (agg === "count") return { $sum: { $cond: [{ $isNumber: field }, 1, 0] } };
+  return { $percentile: { input: field, p: [PERCENTILES[agg]], method: "approximate" } };
+}
+
+async function fromRaw({ deviceId, from, to, intervalSec, metrics, aggs, timeField, filter, tz }) {
+  const group = { _id: bucketExpr("$_t", intervalSec * 1000, tz), readings: { $sum: 1 } };
+  metrics.forEach(({ path }, i) => {
+    for (const a of aggs) group[`m${i}_${a}`] = accumulator(a, `$${path}`);
+  });
+
+  const rows = await HealthData.aggregate([
+    { $match: { deviceId, ...NOT_RETRACTED, ...NOT_COMPUTED, ...filter, ...timeRangeFilter(timeField, from, to) } },
+    { $addFields: { _t: timeExpr(timeField) } },
+    { $group: group },
+    { $sort: { _id: 1 } },
+  ]);
+
+  return rows.map(r => {
+    const values = {};
+    metrics.forEach(({ name }, i) => {
+      values[name] = Object.fromEntries(aggs.map(a => {
+        const v = r[`m${i}_${a}`];
+        return [a, Array.isArray(v) ? v[0] ?? null : v ?? null];
+      }));
+    });
+    return { start: r._id, end: bucketEnd(r._id, intervalSec, tz), readings: r.readings, values };
+  });
+}
+
+/**
+ * @param {object} query  parseHistoryQuery result plus deviceId, timeField, filter (quality),
+ *                       source ("raw" forces a scan), tz (IANA zone for local buckets)
+ * @returns {Promise<{ source: string, buckets: Array<{ start, end, readings, values: { [metric]: { [agg]: number|null } } }> }>}
+ */
+async function runHistory(query) {
+  // a zone that is UTC over the whole range buckets like UTC (and can use the 1d rollups)
+  const tz = query.tz && !isUtcLike(query.tz, query.from, query.to) ? query.tz : null;
+  const q = { ...query, tz };
+
+  const level = q.timeField === "measured"
+    && !Object.keys(q.filter || {}).length
+    && q.source !== "raw"
+    && q.aggs.every(a => ROLLUP_AGGS.includes(a))
+    && q.metrics.every(m => rollupKeyFor(m.path))
+    ? rollupLevelFor(q.intervalSec, tz ? offsetsIn(tz, q.from, q.to) : [])
+    : null;
+
+  if (level) {
+    const rows = await readRollups({ deviceId: q.deviceId, from: q.from, to: q.to, intervalSec: q.intervalSec, tz, level });
+    return { source: `rollup:${level}`, buckets: fromRollups(rows, q) };
+  }
+  return { source: "raw", buckets: await fromRaw(q) };
+}
+
+module.exports = { parseHistoryQuery, runHistory, parseInterval, PERIODS, DEFAULT_METRICS };
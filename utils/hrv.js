@@ -0,0 +1,149 @@
+// utils/hrv.js
+// HRV metrics from a series of RR intervals (ms): time domain, frequency domain
+// and Poincaré. Pure functions; the scheduled job lives in utils/hrvJob.js.
+//
+// Bump HRV_ALGO_VERSION whenever results would change for the same input, so
+// stored values can be told apart and compared with device-computed ones.
+
+const HRV_ALGO_VERSION = "1.0.0";
+
+const RR_MIN = 300;          // ms, physiological bounds
+const RR_MAX = 2000;
+const ECTOPIC_RATIO = 0.2;   // successive change above 20% = artefact / ectopic beat
+const RESAMPLE_HZ = 4;
+const BANDS = { vlf: [0.0033, 0.04], lf: [0.04, 0.15], hf: [0.15, 0.4] };
+
+const sum = (a) => a.reduce((s, v) => s + v, 0);
+const mean = (a) => (a.length ? sum(a) / a.length : 0);
+const sd = (a) => {
+  if (a.length < 2) return 0;
+  const m = mean(a);
+  return Math.sqrt(sum(a.map(v => (v - m) ** 2)) / (a.length - 1));
+};
+const median = (a) => {
+  const s = [...a].sort((x, y) => x - y);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+};
+const round = (v, d = 3) => (Number.isFinite(v) ? Math.round(v * 10 ** d) / 10 ** d : null);
+
+// drop out-of-range intervals and ectopic jumps
+function cleanRR(rr) {
+  const nn = [];
+  for (const v of rr) {
+    if (!(v >= RR_MIN && v <= RR_MAX)) continue;
+    const prev = nn[nn.length - 1];
+    if (prev && Math.abs(v - prev) / prev > ECTOPIC_RATIO) continue;
+    nn.push(v);
+  }
+  return nn;
+}
+
+function timeDomain(nn) {
+  const diffs = nn.slice(1).map((v, i) => v - nn[i]);
+  const nn50 = diffs.filter(d => Math.abs(d) > 50).length;
+  const meanRR = mean(nn);
+
+  // Baevsky: mode (50 ms bins), amplitude of mode (%), variation range
+  const bins = new Map();
+  for (const v of nn) {
+    const b = Math.floor(v / 50) * 50 + 25;
+    bins.set(b, (bins.get(b) || 0) + 1);
+  }
+  let mo = 0, moCount = 0;
+  for (const [b, c] of bins) if (c > moCount) [mo, moCount] = [b, c];
+  const amo = (moCount / nn.length) * 100;
+  const mxdmn = Math.max(...nn) - Math.min(...nn);
+  const stressInd = mxdmn > 0 && mo > 0 ? amo / (2 * (mo / 1000) * (mxdmn / 1000)) : null;
+
+  return {
+    mean_rr: meanRR,
+    mean_hr: meanRR ? 60000 / meanRR : null,
+    hr_median: 60000 / median(nn),
+    sdnn: sd(nn),
+    rmssd: Math.sqrt(mean(diffs.map(d => d * d))),
+    sdsd: sd(diffs),
+    nn50,
+    pnn50: diffs.length ? (nn50 / diffs.length) * 100 : 0,
+    mxdmn,
+    mo,
+    amo,
+    stress_ind: stressInd,
+  };
+}
+
+function poincare({ sdnn, sdsd }) {
+  const sd1 = Math.sqrt(0.5) * sdsd;
+  const sd2 = Math.sqrt(Math.max(0, 2 * sdnn ** 2 - 0.5 * sdsd ** 2));
+  return { sd1, sd2, sd1sd2: sd2 ? sd1 / sd2 : null };
+}
+
+// tachogram resampled at RESAMPLE_HZ (linear), Hann window, one-sided PSD in ms²/Hz
+function frequencyDomain(nn) {
+  const t = [];
+  let acc = 0;
+  for (const v of nn) t.push((acc += v) / 1000);
+  const duration = t[t.length - 1] - t[0];
+  if (duration < 2 / BANDS.lf[0]) return null; // need a couple of LF cycles (≥ 50 s)
+
+  const n = Math.floor(duration * RESAMPLE_HZ);
+  const x = new Array(n);
+  let j = 0;
+  for (let i = 0; i < n; i++) {
+    const ti = t[0] + i / RESAMPLE_HZ;
+    while (j < t.length - 2 && t[j + 1] < ti) j++;
+    const f = (ti - t[j]) / (t[j + 1] - t[j]);
+    x[i] = nn[j] + f * (nn[j + 1] - nn[j]);
+  }
+  const m = mean(x);
+  const w = x.map((_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (n - 1)));
+  const y = x.map((v, i) => (v - m) * w[i]);
+  const wPower = sum(w.map(v => v * v));
+
+  const df = RESAMPLE_HZ / n;
+  const power = { vlf: 0, lf: 0, hf: 0 };
+  const kMax = Math.ceil(BANDS.hf[1] / df);
+  for (let k = 1; k <= kMax; k++) {
+    const f = k * df;
+    let re = 0, im = 0;
+    for (let i = 0; i < n; i++) {
+      const a = (2 * Math.PI * k * i) / n;
+      re += y[i] * Math.cos(a);
+      im -= y[i] * Math.sin(a);
+    }
+    const psd = (2 * (re * re + im * im)) / (RESAMPLE_HZ * wPower);
+    for (const [band, [lo, hi]] of Object.entries(BANDS)) {
+      if (f >= lo && f < hi) power[band] += psd * df;
+    }
+  }
+
+  const total = power.vlf + power.lf + power.hf;
+  return {
+    vlf_pow: power.vlf,
+    lf_pow: power.lf,
+    hf_pow: power.hf,
+    lf_hf_ratio: power.hf ? power.lf / power.hf : null,
+    // same values under the HRV_DATA UART names
+    lf: power.lf,
+    hf: power.hf,
+    lfhf: power.hf ? power.lf / power.hf : null,
+    total_pow: total,
+  };
+}
+
+/**
+ * @param {number[]} rr  RR intervals in ms, in beat order
+ * @returns {{ metrics: object, rrUsed: number, rrDropped: number } | null} null when too few clean beats
+ */
+function computeHrv(rr, { minBeats = 30 } = {}) {
+  const nn = cleanRR(rr.map(Number).filter(Number.isFinite));
+  if (nn.length < minBeats) return null;
+
+  const td = timeDomain(nn);
+  const metrics = { ...td, ...poincare(td), ...(frequencyDomain(nn) || {}) };
+  for (const k of Object.keys(metrics)) metrics[k] = round(metrics[k]);
+
+  return { metrics, rrUsed: nn.length, rrDropped: rr.length - nn.length };
+}
+
+module.exports = { computeHrv, cleanRR, HRV_ALGO_VERSION };
@@ -0,0 +1,218 @@
+// utils/hrvJob.js
+// Scheduled job: HRV metrics computed on the server from the RR intervals in
+// SignalChunk, for every device that sends them, so units without an HRV_DATA
+// line get SDNN, RMSSD, LF/HF, SD1/SD2 … too.
+//
+// One HealthData record per metricSpec HRV window (SDNN avgSec, 540 s), aligned
+// to the epoch like the averaging windows. The values live in `computed.metrics`
+// (with `computed.version` = HRV_ALGO_VERSION), not in hrv / metrics.*, so data
+// queries and rollups only ever see what devices sent; GET /api/data/hrv puts
+// both side by side. The records themselves stay out of device data (raw and
+// rollup history, /data/health, the live stream): see NOT_COMPUTED.
+//
+// HRV_SERVER=off disables the job. Progress is kept in memory and picked up
+// from the last computed record after a restart. RR that arrives after its
+// window was passed (batch backfills) gets the window recomputed.
+
+const Device = require("../models/Device");
+const HealthData = require("../models/HealthData");
+const SignalChunk = require("../models/SignalChunk");
+const { computeHrv, HRV_ALGO_VERSION } = require("./hrv");
+const { loadSegments } = require("./ingest/signals");
+const { rulesFor } = require("./ingest/spec");
+
+const ENABLED = (process.env.HRV_SERVER || "on").toLowerCase() !== "off";
+const DEFAULT_WINDOW_SEC = 540;
+const SETTLE_SEC = 120;      // RR for a window may still arrive this long after it ends
+const LOOKBACK_SEC = Number(process.env.HRV_LOOKBACK_SEC) || 6 * 3600;
+const MAX_WINDOWS = 24;      // per device and run, so a backlog does not block the others
+const CATCHUP_SEC = 15 * 60; // after a restart, look for late RR written this long before
+
+// filter for device data: leaves out the records this job writes
+const NOT_COMPUTED = { "computed.algorithm": null };
+
+const cursors = new Map(); // deviceId -> start (ms) of the next window to compute
+let lastRunAt = Date.now() - CATCHUP_SEC * 1000;
+let running = false;
+
+const windowSecFor = (device) => rulesFor(device).SDNN?.avgSec || DEFAULT_WINDOW_SEC;
+
+async function firstWindowStart(deviceId, size, now) {
+  const last = await HealthData.findOne({ deviceId, "computed.algorithm": "hrv" })
+    .sort({ timestamp: -1 })
+    .select("window.end")
+    .lean();
+  const floor = now - LOOKBACK_SEC * 1000;
+  if (last?.window?.end) return Math.max(last.window.end.getTime(), Math.floor(floor / size) * size);
+
+  const first = await SignalChunk.findOne({ deviceId, kind: "rr", bucketEnd: { $gt: new Date(floor) } })
+    .sort({ bucketStart: 1 })
+    .select("bucketStart")
+    .lean();
+  if (!first) return null;
+  return Math.floor(Math.max(first.bucketStart.getTime(), floor) / size) * size;
+}
+
+function hrvDoc(deviceId, sec, start, result) {
+  const { metrics, rrUsed, rrDropped } = result;
+  return {
+    deviceId,
+    timestamp: new Date(start),
+    receivedAt: new Date(),
+    window: { sec, start: new Date(start), end: new Date(start + sec * 1000), count: rrUsed },
+    computed: { algorithm: "hrv", version: HRV_ALGO_VERSION, rrCount: rrUsed, rrDropped, computedAt: new Date(), metrics },
+  };
+}
+
+/**
+ * HRV for one device over [from, to) in windows of `sec`, oldest first.
+ * Windows with too few clean beats are skipped.
+ * @returns {Promise<Array<object>>} HealthData-shaped records (not saved)
+ */
+async function computeDeviceHrv(deviceId, sec, from, to) {
+  const size = sec * 1000;
+  const docs = [];
+  for (let start = from; start + size <= to; start += size) {
+    const segments = await loadSegments({
+      deviceId,
+      kind: "rr",
+      from: new Date(start),
+      to: new Date(start + size - 1),
+    });
+    const rr = segments.flatMap(s => s.values);
+    if (!rr.length) continue;
+    const result = computeHrv(rr);
+    if (result) docs.push(hrvDoc(deviceId, sec, start, result));
+  }
+  return docs;
+}
+
+async function computeServerHrv(now = Date.now()) {
+  if (!ENABLED || running) return 0;
+  running = true;
+  try {
+    return await computePending(now);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Recompute the windows in [from, to) whose RR changed since they were
+ * computed (or that had too few beats then), replacing the stored records.
+ * @returns {Promise<number>} records written
+ */
+async function recomputeRange(deviceId, sec, from, to) {
+  const size = sec * 1000;
+  const start = Math.floor(from / size) * size;
+  const end = Math.min(Math.ceil(to / size) * size, cursors.get(deviceId) ?? start);
+  if (end <= start) return 0;
+
+  const [docs, stored] = await Promise.all([
+    computeDeviceHrv(deviceId, sec, start, end),
+    HealthData.find({ deviceId, "computed.algorithm": "hrv", timestamp: { $gte: new Date(start), $lt: new Date(end) } })
+      .select("timestamp computed.rrCount computed.rrDropped")
+      .lean(),
+  ]);
+  const beats = (c) => (c?.rrCount || 0) + (c?.rrDropped || 0);
+  const byStart = new Map(stored.map(d => [d.timestamp.getTime(), d]));
+  const changed = docs.filter(d => beats(byStart.get(d.timestamp.getTime())?.computed) !== beats(d.computed));
+  if (!changed.length) return 0;
+
+  // delete + insert: time-series collections cannot replace documents
+  await HealthData.deleteMany({ deviceId, "computed.algorithm": "hrv", timestamp: { $in: changed.map(d => d.timestamp) } });
+  await HealthData.insertMany(changed, { ordered: false });
+  return changed.length;
+}
+
+async function computePending(now) {
+  const since = new Date(now - LOOKBACK_SEC * 1000);
+  const deviceIds = await SignalChunk.distinct("deviceId", { kind: "rr", updatedAt: { $gte: since } });
+  if (!deviceIds.length) return 0;
+
+  // chunks written since the last run, for windows the cursor has already passed
+  const late = await SignalChunk.find({ kind: "rr", updatedAt: { $gte: new Date(lastRunAt - 5000) } })
+    .select("deviceId bucketStart bucketEnd")
+    .lean();
+  lastRunAt = now;
+
+  const devices = await Device.find({ deviceId: { $in: deviceIds } }).select("deviceId deviceType").lean();
+  let written = 0;
+  for (const device of devices) {
+    const { deviceId } = device;
+    try {
+      const sec = windowSecFor(device);
+      const size = sec * 1000;
+      const start = cursors.get(deviceId) ?? (await firstWindowStart(deviceId, size, now));
+      if (start == null) continue;
+      cursors.set(deviceId, start);
+
+      for (const chunk of late.filter(c => c.deviceId === deviceId && c.bucketStart.getTime() < start)) {
+        written += await recomputeRange(deviceId, sec, chunk.bucketStart.getTime(), chunk.bucketEnd.getTime());
+      }
+
+      const ready = Math.floor((now - SETTLE_SEC * 1000) / size) * size;
+      const to = Math.min(ready, start + MAX_WINDOWS * size);
+      if (to <= start) continue;
+
+      const docs = await computeDeviceHrv(deviceId, sec, start, to);
+      if (docs.length) {
+        const saved = await HealthData.insertMany(docs, { ordered: false });
+        written += saved.length;
+      }
+      cursors.set(deviceId, to);
+    } catch (err) {
+      console.error(`❌ ${deviceId} server HRV failed:`, err.message);
+    }
+  }
+  if (written) console.log(`💓 Server HRV: ${written} window(s) written (algorithm ${HRV_ALGO_VERSION})`);
+  return written;
+}
+
+// metrics both sides report, for the side-by-side view
+const COMPARE_KEYS = ["mean_hr", "sdnn", "rmssd", "sdsd", "nn50", "pnn50", "sd1", "sd2", "lf_pow", "hf_pow", "lf_hf_ratio", "stress_ind"];
+
+/**
+ * Server-computed HRV windows next to the device-computed values measured in
+ * the same windows (averaged when the device sent several).
+ * @returns {Promise<Array<{ start, end, server, device }>>} newest first
+ */
+async function compareHrv({ deviceId, sec, from, to, version }) {
+  const size = sec * 1000;
+  const range = { $gte: from, $lte: to };
+
+  const serverQuery = { deviceId, "computed.algorithm": "hrv", retractedAt: null, timestamp: range };
+  if (version) serverQuery["computed.version"] = version;
+
+  const avg = Object.fromEntries(COMPARE_KEYS.map(k => [k, { $avg: `$metrics.${k}` }]));
+  const ts = { $toLong: "$timestamp" };
+  const [server, device] = await Promise.all([
+    HealthData.find(serverQuery).sort({ timestamp: -1 }).select("timestamp window computed").lean(),
+    HealthData.aggregate([
+      {
+        $match: {
+          deviceId,
+          ...NOT_COMPUTED,
+          retractedAt: null,
+          timestamp: range,
+          $or: [{ "metrics.sdnn": { $ne: null } }, { "metrics.rmssd": { $ne: null } }],
+        },
+      },
+      { $group: { _id: { $subtract: [ts, { $mod: [ts, size] }] }, readings: { $sum: 1 }, ...avg } },
+    ]),
+  ]);
+
+  const byStart = new Map(device.map(d => [d._id, d]));
+  const pick = (m) => Object.fromEntries(COMPARE_KEYS.map(k => [k, m?.[k] ?? null]));
+  return server.map(s => {
+    const d = byStart.get(s.window.start.getTime());
+    return {
+      start: s.window.start,
+      end: s.window.end,
+      server: { version: s.computed.version, rrCount: s.computed.rrCount, rrDropped: s.computed.rrDropped, ...pick(s.computed.metrics) },
+      device: d ? { readings: d.readings, ...pick(d) } : null,
+    };
+  });
+}
+
+module.exports = { computeServerHrv, computeDeviceHrv, compareHrv, windowSecFor, NOT_COMPUTED };
@@ -0,0 +1,142 @@
+// utils/ingest/batch.js
+// Batch ingest for readings a device buffered while offline.
+// Each reading carries its own measured-at time; accepted documents go out in one bulk write.
+
+const HealthData = require("../../models/HealthData");
+const { createContext, runPipeline, PREPARE_STAGES } = require("./index");
+const { parseDeviceTime, checkDeviceTime } = require("./time");
+const { retractSecFor } = require("./presence");
+const { closeWindows } = require("./window");
+const { releaseMessage } = require("./sequence");
+const { publishReading } = require("../liveEvents");
+const { countAccepted, countRejected, timeSave } = require("../telemetry");
+const { saveSignals } = require("./signals");
+const { markRollupDirty } = require("../rollups");
+
+const MAX_BATCH = 500;
+// request body limit for the batch route: 500 readings at up to ~4 KB each
+// (a minute of rrIntervals plus vitals); other routes keep express.json's 100 kb
+const MAX_BATCH_BODY = "2mb";
+
+const readingTime = (r) => r?.timestamp ?? r?.measuredAt ?? r?.ts;
+
+function countResults(transport, results) {
+  for (const r of results) {
+    if (r.ok) countAccepted(transport);
+    else countRejected(transport, r.reason || "error");
+  }
+  return results;
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.deviceId
+ * @param {object} opts.device     Device document
+ * @param {Array}  opts.readings   health payloads, each with `timestamp` | `measuredAt` | `ts`
+ * @returns {Promise<Array<{ index, ok, reason?, detail?, id?, windowed? }>>} one entry per input reading
+ *   (`windowed`: the reading only fed averaging windows and has no record of its own)
+ */
+async function ingestHealthBatch({ deviceId, device, readings, transport = "http" }) {
+  const results = readings.map((_, index) => ({ index, ok: false }));
+  const now = new Date();
+
+  // replay in measured order with a scratch state, so a buffered night
+  // does not disturb presence/on-change tracking of the live stream
+  const state = { lastPresence: 1, lastValues: {} };
+  const queue = [];
+  readings.forEach((reading, index) => {
+    if (!reading || typeof reading !== "object" || Array.isArray(reading)) {
+      Object.assign(results[index], { reason: "invalid", detail: "reading must be an object" });
+      return;
+    }
+    const measuredAt = parseDeviceTime(readingTime(reading));
+    const timeErr = checkDeviceTime(measuredAt, now);
+    if (timeErr) {
+      Object.assign(results[index], { reason: "invalid-timestamp", detail: timeErr });
+      return;
+    }
+    queue.push({ index, reading, measuredAt });
+  });
+  queue.sort((a, b) => a.measuredAt - b.measuredAt);
+
+  const pending = [];
+  for (const item of queue) {
+    const ctx = createContext({
+      deviceId, device, payload: item.reading, transport, measuredAt: item.measuredAt, state,
+    });
+    // a presence drop also retracts readings from this batch that have not been written yet
+    ctx.onRetract = (cutoff) => {
+      for (const p of pending) {
+        if (p.doc.timestamp < cutoff || p.doc.retractedAt) continue;
+        p.doc.retractedAt = new Date();
+        p.doc.retraction = {
+          reason: "presence-drop",
+          event: { from: 1, to: 0, at: ctx.doc.timestamp, windowSec: retractSecFor(device) }
+        };
+        results[p.index].retracted = true;
+      }
+    };
+    await runPipeline(ctx, PREPARE_STAGES);
+    if (ctx.rejected) {
+      Object.assign(results[item.index], ctx.rejected);
+      await releaseMessage(ctx);
+      continue;
+    }
+
+    // averaged windows this reading closed have no input index of their own
+    for (const w of ctx.windowDocs) pending.push({ index: null, doc: new HealthData(w) });
+    if (!ctx.doc) {
+      Object.assign(results[item.index], { ok: true, windowed: true });
+      continue;
+    }
+
+    const doc = new HealthData(ctx.doc);
+    const invalid = doc.validateSync();
+    if (invalid) {
+      Object.assign(results[item.index], { reason: "invalid", detail: invalid.message });
+      await releaseMessage(ctx);
+      continue;
+    }
+    pending.push({ index: item.index, doc, ctx });
+  }
+  // the scratch state goes away with this request, so write its open windows too
+  for (const w of closeWindows(deviceId, state)) pending.push({ index: null, doc: new HealthData(w) });
+
+  if (!pending.length) return countResults(transport, results);
+
+  const failed = new Map();
+  const done = timeSave(transport);
+  try {
+    await HealthData.insertMany(pending.map(p => p.doc), { ordered: false });
+  } catch (err) {
+    if (!err.writeErrors) throw err;
+    for (const we of err.writeErrors) failed.set(we.index, we.errmsg || we.err?.errmsg || "write failed");
+  } finally {
+    done();
+  }
+
+  for (const [i, p] of pending.entries()) {
+    if (p.index === null) {
+      if (failed.has(i)) console.error(`❌ ${deviceId} averaged window not written: ${failed.get(i)}`);
+      continue;
+    }
+    if (failed.has(i)) {
+      Object.assign(results[p.index], { reason: "write-error", detail: failed.get(i) });
+      await releaseMessage(p.ctx);
+    } else {
+      Object.assign(results[p.index], { ok: true, id: p.doc._id });
+    }
+  }
+  const stored = pending.filter((p, i) => !failed.has(i));
+  await saveSignals(deviceId, stored.flatMap(p =>
+    (p.ctx?.signalSegments || []).map(s => ({ ...s, healthDataId: p.doc._id }))
+  ));
+  stored.forEach(p => publishReading(p.doc));
+  if (stored.length) {
+    const times = stored.map(p => p.doc.timestamp.getTime());
+    markRollupDirty(deviceId, Math.min(...times), Math.max(...times));
+  }
+  return countResults(transport, results);
+}
+
+module.exports = { ingestHealthBatch, MAX_BATCH, MAX_BATCH_BODY };
@@ -0,0 +1,78 @@
+// utils/ingest/clock.js
+// Stage: split measured vs received time and track each device's clock offset.
+//
+// Live readings that carry a device timestamp give one offset sample
+// (receivedAt - deviceTime, so network latency is included). The estimate is
+// the median of the recent samples. Past CLOCK_SKEW_THRESHOLD_MS the reading is
+// either corrected by the estimate (CLOCK_SKEW_MODE=correct, default) or only flagged.
+
+const Device = require("../../models/Device");
+const { parseDeviceTime, checkDeviceTime } = require("./time");
+
+const THRESHOLD_MS = Number(process.env.CLOCK_SKEW_THRESHOLD_MS) || 30000;
+const MODE = (process.env.CLOCK_SKEW_MODE || "correct").toLowerCase();
+const WINDOW = 20;         // samples kept per device
+const PERSIST_EVERY = 10;  // write the estimate to Device every N samples
+
+const offsets = new Map(); // deviceId -> { samples: [], count }
+
+function median(arr) {
+  const s = [...arr].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+function addSample(deviceId, offsetMs) {
+  const entry = offsets.get(deviceId) || { samples: [], count: 0 };
+  entry.samples.push(offsetMs);
+  if (entry.samples.length > WINDOW) entry.samples.shift();
+  entry.count++;
+  offsets.set(deviceId, entry);
+  return entry;
+}
+
+// in-memory estimate, falling back to the one persisted on the Device
+function estimateOffset(deviceId, device) {
+  const entry = offsets.get(deviceId);
+  if (entry?.samples.length) return Math.round(median(entry.samples));
+  return device?.clock?.offsetMs ?? null;
+}
+
+async function clockSync(ctx) {
+  const { deviceId, device, doc } = ctx;
+  const payload = ctx.payload || {};
+  doc.receivedAt = ctx.receivedAt;
+
+  // batch readings are buffered: their measured time is known, but they say nothing about the offset
+  const live = !ctx.measuredAt;
+  const deviceTime = ctx.measuredAt || parseDeviceTime(payload.timestamp ?? payload.measuredAt ?? payload.ts);
+  if (!deviceTime) return; // no device time: measured == received
+
+  if (live) {
+    const entry = addSample(deviceId, ctx.receivedAt.getTime() - deviceTime.getTime());
+    if (device && entry.count % PERSIST_EVERY === 0) {
+      const offsetMs = estimateOffset(deviceId, device);
+      await Device.updateOne({ _id: device._id }, {
+        $set: {
+          clock: { offsetMs, samples: entry.samples.length, skewed: Math.abs(offsetMs) > THRESHOLD_MS, updatedAt: new Date() }
+        }
+      });
+    }
+  }
+
+  const offsetMs = estimateOffset(deviceId, device);
+  const skewed = offsetMs != null && Math.abs(offsetMs) > THRESHOLD_MS;
+  const corrected = skewed && MODE === "correct";
+  const measuredAt = corrected ? new Date(deviceTime.getTime() + offsetMs) : deviceTime;
+
+  // an unusable device time is kept for reference but not trusted
+  if (live && checkDeviceTime(measuredAt, ctx.receivedAt)) {
+    doc.clock = { deviceTime, skewMs: offsetMs, corrected: false, flagged: true };
+    return;
+  }
+
+  doc.timestamp = measuredAt;
+  doc.clock = { deviceTime, skewMs: offsetMs, corrected, flagged: skewed && !corrected };
+}
+
+module.exports = { clockSync, estimateOffset, THRESHOLD_MS };
@@ -0,0 +1,65 @@
+// utils/ingest/codec.js
+// Payload decoding for MQTT: JSON (default), CBOR and MessagePack.
+//
+// The encoding comes from the MQTT v5 Content Type property, or from a topic
+// suffix for v3 clients: /{deviceId}/health/cbor, /{deviceId}/health/msgpack.
+// Decoded data goes through the same pipeline as JSON.
+
+const { decode: decodeCbor } = require("cbor-x");
+const { decode: decodeMsgpack } = require("@msgpack/msgpack");
+
+const ENCODINGS = ["json", "cbor", "msgpack"];
+
+const CONTENT_TYPES = {
+  "application/json": "json",
+  "text/json": "json",
+  "application/cbor": "cbor",
+  "application/msgpack": "msgpack",
+  "application/x-msgpack": "msgpack",
+  "application/vnd.msgpack": "msgpack",
+};
+
+/**
+ * @returns {{ encoding: string, topic: string }} topic without the encoding suffix
+ */
+function resolveEncoding(topic, properties) {
+  const parts = String(topic).split("/");
+  const last = parts[parts.length - 1];
+  if (last === "cbor" || last === "msgpack" || last === "json") {
+    return { encoding: last, topic: parts.slice(0, -1).join("/") };
+  }
+
+  const contentType = String(properties?.contentType || "").split(";")[0].trim().toLowerCase();
+  return { encoding: CONTENT_TYPES[contentType] || "json", topic };
+}
+
+// binary decoders hand back typed arrays for rrIntervals / rawWaveform; make them plain
+function plain(value) {
+  if (ArrayBuffer.isView(value) && !(value instanceof DataView)) return Array.from(value);
+  if (Array.isArray(value)) return value.map(plain);
+  if (value instanceof Map) return plain(Object.fromEntries(value));
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = plain(v);
+    return out;
+  }
+  return value;
+}
+
+function decodePayload(buf, encoding = "json") {
+  const bytes = Buffer.isBuffer(buf) ? buf : Buffer.from(buf);
+  switch (encoding) {
+    case "cbor":
+      return plain(decodeCbor(bytes));
+    case "msgpack":
+      return plain(decodeMsgpack(bytes));
+    default:
+      return JSON.parse(bytes.toString("utf8"));
+  }
+}
+
+// text form for logs and the dead-letter store (binary bodies as base64)
+const rawText = (buf, encoding) =>
+  encoding === "json" ? buf.toString("utf8") : Buffer.from(buf).toString("base64");
+
+module.exports = { resolveEncoding, decodePayload, rawText, ENCODINGS };
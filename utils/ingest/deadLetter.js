@@ -0,0 +1,38 @@
+// utils/ingest/deadLetter.js
+// Rejected ingest messages go to the DeadLetter collection instead of only the console.
+
+const DeadLetter = require("../../models/DeadLetter");
+
+// presence=0 is the normal "nobody in bed" state and a duplicate was already
+// stored once; neither is a failure worth keeping
+const SKIP_REASONS = new Set(["presence", "duplicate"]);
+
+const rawString = (raw, payload) => {
+  if (raw != null) return Buffer.isBuffer(raw) ? raw.toString("utf8") : String(raw);
+  try { return JSON.stringify(payload ?? null); } catch { return String(payload); }
+};
+
+/**
+ * Store one rejected message. Never throws: losing a dead letter must not
+ * break ingestion of the next message.
+ */
+async function recordDeadLetter({ transport, topic = null, encoding = "json", deviceId = null, raw, payload, reason, detail, receivedAt }) {
+  if (SKIP_REASONS.has(reason)) return null;
+  try {
+    return await DeadLetter.create({
+      transport,
+      topic,
+      encoding,
+      deviceId,
+      raw: rawString(raw, payload),
+      reason,
+      detail: detail || reason,
+      receivedAt: receivedAt || new Date(),
+    });
+  } catch (err) {
+    console.error("❌ Failed to store dead letter:", err.message);
+    return null;
+  }
+}
+
+module.exports = { recordDeadLetter, SKIP_REASONS };
@@ -0,0 +1,123 @@
+// utils/ingest/index.js
+// Single ingestion pipeline for health readings, shared by MQTT and HTTP.
+//
+// normalize → sequence dedupe → clock sync → UART merge → presence gate → quality flags → on-change dedupe
+//   → averaging windows → signal chunks → persist
+//
+// Every stage takes the same `ctx` and either mutates `ctx.doc` or calls
+// `ctx.reject(reason, detail)`, which stops the run.
+
+const Device = require("../../models/Device");
+const { getState } = require("./state");
+const { normalize } = require("./normalize");
+const { sequenceCheck, releaseMessage } = require("./sequence");
+const { clockSync } = require("./clock");
+const { mergeUart } = require("./uart");
+const { presenceGate } = require("./presence");
+const { assessQuality } = require("./quality");
+const { dedupeOnChange } = require("./spec");
+const { windowAverage } = require("./window");
+const { splitSignals } = require("./signals");
+const { persist } = require("./persist");
+const { recordDeadLetter } = require("./deadLetter");
+const { publishLive } = require("../liveEvents");
+const { countAccepted, countRejected } = require("../telemetry");
+
+// everything up to (not including) the write; batch ingest persists in bulk
+const PREPARE_STAGES = [normalize, sequenceCheck, clockSync, mergeUart, presenceGate, assessQuality, dedupeOnChange, windowAverage, splitSignals];
+const STAGES = [...PREPARE_STAGES, persist];
+
+function createContext({ deviceId, device = null, payload, raw = null, encoding = "json", transport, topic = null, measuredAt = null, state = null, retract = true }) {
+  const ctx = {
+    deviceId,
+    device,
+    payload: payload || {},
+    raw,          // body as received (base64 for binary encodings), for the dead-letter store
+    encoding,
+    transport,
+    topic,
+    receivedAt: new Date(),
+    measuredAt,
+    state: state || getState(deviceId),
+    live: !state,     // false for batch / replay runs on a scratch state
+    retract,          // false: a presence drop does not retract stored readings (replays)
+    doc: null,
+    windowDocs: [],   // averaged records closed by this reading
+    windowed: false,  // true when the reading only fed windows and has no record of its own
+    rejected: null,
+    saved: null,
+  };
+  ctx.reject = (reason, detail) => {
+    ctx.rejected = { reason, detail: detail || reason };
+  };
+  return ctx;
+}
+
+async function runPipeline(ctx, stages = STAGES) {
+  for (const stage of stages) {
+    await stage(ctx);
+    if (ctx.rejected) break;
+  }
+  return ctx;
+}
+
+/**
+ * Run one health reading through the full pipeline.
+ * Rejections are written to the dead-letter store unless `deadLetter: false`
+ * (replays update their existing dead letter instead).
+ * Resolves with the context; check `ctx.rejected` / `ctx.saved`.
+ */
+async function ingestHealth({ deadLetter = true, ...opts }) {
+  const ctx = createContext(opts);
+  try {
+    await runPipeline(ctx);
+  } catch (err) {
+    await releaseMessage(ctx);
+    throw err;
+  }
+  // replays run on a scratch state and are not new traffic
+  if (ctx.live) {
+    if (ctx.rejected) countRejected(ctx.transport, ctx.rejected.reason);
+    else countAccepted(ctx.transport);
+  }
+  if (ctx.rejected) {
+    await releaseMessage(ctx);
+    console.log(`⚠️ ${ctx.deviceId} skipped via ${ctx.transport} (${ctx.rejected.reason}: ${ctx.rejected.detail})`);
+    if (deadLetter) {
+      await recordDeadLetter({
+        transport: ctx.transport,
+        topic: ctx.topic,
+        encoding: ctx.encoding,
+        deviceId: ctx.deviceId,
+        raw: ctx.raw,
+        payload: ctx.payload,
+        reason: ctx.rejected.reason,
+        detail: ctx.rejected.detail,
+        receivedAt: ctx.receivedAt,
+      });
+    }
+  }
+  return ctx;
+}
+
+// mark a device as active after it sent something
+async function touchDevice(device) {
+  if (!device) return;
+  await Device.findByIdAndUpdate(device._id, {
+    status: "active",
+    lastActiveAt: new Date(),
+  });
+  if (device.status !== "active") {
+    publishLive(device.deviceId, "status", { from: device.status, to: "active" });
+    device.status = "active";
+  }
+}
+
+module.exports = {
+  STAGES,
+  PREPARE_STAGES,
+  createContext,
+  runPipeline,
+  ingestHealth,
+  touchDevice,
+};
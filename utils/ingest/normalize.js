@@ -0,0 +1,58 @@
+// utils/ingest/normalize.js
+// Stage 1: turn an incoming health payload (MQTT or HTTP) into HealthData fields.
+
+// flat metric keys that some firmwares send at the top level instead of under `metrics`
+const FLAT_METRIC_KEYS = [
+  "nn50", "sdsd", "mxdmn", "mo", "amo", "stress_ind",
+  "lf_pow", "hf_pow", "lf_hf_ratio", "bat", "mean_rr", "mean_hr",
+  "snore_num", "snore_freq", "pressure", "bvoc", "co2", "gas_percent",
+  "HRrest", "HRmax", "VO2max", "LactateThres", "TemperatureSkin",
+  "TemperatureEnv", "TemperatureCore", "ECG", "Barometer", "Accel",
+  "Gyro", "Magneto", "Steps", "Calories", "Distance", "BloodPressureSys",
+  "BloodPressureDia", "MuscleOxygenation", "GSR", "SleepStage",
+  "SleepQuality", "PostureFront", "PostureSide", "Fall", "BMI",
+  "BodyIndex", "ABSI", "Sports", "Start", "End", "NormalSinusRhythm",
+  "CHFAnalysis", "Diabetes", "TMT", "sdnn", "rmssd", "pnn50", "hr_median",
+  "rr_tri_index", "tin_rmssd", "sd1", "sd2", "lf", "hf", "lfhf",
+  "sample_entropy", "sd1sd2", "sns_index", "pns_index"
+];
+
+function normalize(ctx) {
+  const data = ctx.payload || {};
+
+  const extraMetrics = {};
+  FLAT_METRIC_KEYS.forEach(k => {
+    if (data[k] !== undefined) extraMetrics[k] = data[k];
+  });
+
+  ctx.doc = {
+    deviceId: ctx.deviceId,
+    timestamp: ctx.measuredAt || ctx.receivedAt,
+    temperature: data.temperature || 0,
+    humidity: data.humidity || 0,
+    iaq: data.iaq || 0,
+    eco2: data.eco2 || 0,
+    tvoc: data.tvoc || 0,
+    etoh: data.etoh || 0,
+    hrv: data.hrv || 0,
+    stress: data.stress || 0,
+    respiration: data.resp || data.respiration || 0,
+    heartRate: data.hr || data.heartRate || 0,
+    metrics: {
+      ...(data.metrics || {}),
+      ...extraMetrics
+    },
+    signals: {
+      motion: data.signals?.motion ?? null,
+      presence: data.signals?.presence ?? null,
+      battery: data.signals?.battery ?? null,
+      activity: data.signals?.activity ?? null,
+      mic: data.signals?.mic ?? null,
+      rrIntervals: data.signals?.rrIntervals || [],
+      rawWaveform: data.signals?.rawWaveform || []
+    },
+    raw: data.raw || {}
+  };
+}
+
+module.exports = { normalize, FLAT_METRIC_KEYS };
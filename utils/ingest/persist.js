@@ -0,0 +1,30 @@
+// utils/ingest/persist.js
+// Stage 6: write the finished document, its signal chunks and any averaged windows it closed.
+
+const HealthData = require("../../models/HealthData");
+const { saveWindowDocs } = require("./window");
+const { publishReading } = require("../liveEvents");
+const { timeSave } = require("../telemetry");
+const { saveSignals } = require("./signals");
+const { markRollupDirty } = require("../rollups");
+
+async function persist(ctx) {
+  const done = timeSave(ctx.transport);
+  try {
+    if (ctx.doc) {
+      ctx.saved = await new HealthData(ctx.doc).save();
+      const healthDataId = ctx.saved._id;
+      await saveSignals(ctx.deviceId, (ctx.signalSegments || []).map(s => ({ ...s, healthDataId })));
+      publishReading(ctx.saved);
+      markRollupDirty(ctx.deviceId, ctx.saved.timestamp);
+    }
+    if (ctx.windowDocs?.length) {
+      ctx.savedWindows = await saveWindowDocs(ctx.windowDocs);
+      for (const w of ctx.savedWindows || []) markRollupDirty(ctx.deviceId, w.timestamp);
+    }
+  } finally {
+    done();
+  }
+}
+
+module.exports = { persist };
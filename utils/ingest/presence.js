@@ -0,0 +1,50 @@
+// utils/ingest/presence.js
+// Stage: presence gating. On a 1→0 transition the last few seconds are marked
+// retracted (not deleted), and nothing is stored while presence stays 0.
+
+const HealthData = require("../../models/HealthData");
+const SPEC = require("../../config/metricSpec");
+const { retractWindows } = require("./window");
+const { publishLive } = require("../liveEvents");
+const { markRollupDirty } = require("../rollups");
+
+const DEFAULT_RETRACT_SEC = 12;
+
+// spread into HealthData filters to hide retracted readings
+const NOT_RETRACTED = { retractedAt: null };
+
+const retractSecFor = (device) => SPEC[device?.deviceType]?.retractSec ?? DEFAULT_RETRACT_SEC;
+
+async function presenceGate(ctx) {
+  const { deviceId, state } = ctx;
+  const presence = Number(ctx.doc.signals.presence ?? 1);
+
+  if (state.lastPresence === 1 && presence === 0 && ctx.retract !== false) {
+    const windowSec = retractSecFor(ctx.device);
+    const at = ctx.doc.timestamp;
+    const cutoff = new Date(at.getTime() - windowSec * 1000);
+    const res = await HealthData.updateMany(
+      { deviceId, timestamp: { $gte: cutoff, $lte: at }, ...NOT_RETRACTED },
+      {
+        $set: {
+          retractedAt: new Date(),
+          retraction: { reason: "presence-drop", event: { from: 1, to: 0, at, windowSec } }
+        }
+      }
+    );
+    if (res.modifiedCount) markRollupDirty(deviceId, cutoff, at);
+    retractWindows(state, cutoff);
+    if (ctx.onRetract) ctx.onRetract(cutoff);
+    console.log(`🔴 presence 1→0 for ${deviceId}, retracted ${res.modifiedCount} docs (${windowSec}s)`);
+    if (ctx.live) publishLive(deviceId, "presence", { from: 1, to: 0, at, retracted: res.modifiedCount, since: cutoff });
+  }
+  if (state.lastPresence === 0 && presence === 1) {
+    console.log(`🟢 presence 0→1 for ${deviceId}, resume immediately`);
+    if (ctx.live) publishLive(deviceId, "presence", { from: 0, to: 1, at: ctx.doc.timestamp });
+  }
+  state.lastPresence = presence;
+
+  if (presence === 0) ctx.reject("presence", "presence=0");
+}
+
+module.exports = { presenceGate, retractSecFor, NOT_RETRACTED };
@@ -0,0 +1,81 @@
+// utils/ingest/quality.js
+// Stage: per-field quality flags against metricSpec. A bad field no longer
+// drops the whole reading; it is flagged and kept.
+//
+//   ok | below_min | above_max | stale (value unchanged for the metric's staleSec)
+//
+// QUALITY_MODE=flag (default) keeps flagged fields, QUALITY_MODE=null clears them.
+// Flagged values never feed on-change tracking or averaging windows.
+
+const { rulesFor, fieldValue, setPath } = require("./spec");
+const { fieldFor } = require("../../config/metricFields");
+const { countQualityFlag } = require("../telemetry");
+
+const MODE = (process.env.QUALITY_MODE || "flag").toLowerCase();
+
+const FLAGS = ["ok", "below_min", "above_max", "stale"];
+const BAD_FLAGS = FLAGS.filter(f => f !== "ok");
+
+function staleCheck(ctx, key, rule, value) {
+  if (!(rule.staleSec > 0)) return false;
+  const seen = (ctx.state.seen = ctx.state.seen || {});
+  const t = ctx.doc.timestamp.getTime();
+  const last = seen[key];
+  if (!last || last.value !== value || t < last.since) {
+    seen[key] = { value, since: t };
+    return false;
+  }
+  return t - last.since >= rule.staleSec * 1000;
+}
+
+function assessQuality(ctx) {
+  const quality = {};
+  for (const [key, rule] of Object.entries(rulesFor(ctx.device))) {
+    const value = fieldValue(ctx, key);
+    if (value == null) continue;
+
+    let flag = "ok";
+    if (rule.min != null && value < rule.min) flag = "below_min";
+    else if (rule.max != null && value > rule.max) flag = "above_max";
+    else if (staleCheck(ctx, key, rule, value)) flag = "stale";
+
+    quality[key] = flag;
+    if (flag !== "ok" && ctx.live) countQualityFlag(key, flag);
+    setPath(ctx.doc, fieldFor(key), flag !== "ok" && MODE !== "flag" ? null : value);
+  }
+
+  const flags = [...new Set(Object.values(quality).filter(f => f !== "ok"))];
+  ctx.doc.quality = quality;
+  ctx.doc.qualityFlags = flags;
+  if (flags.length) {
+    const bad = Object.entries(quality).filter(([, f]) => f !== "ok").map(([k, f]) => `${k}:${f}`);
+    console.log(`🟡 ${ctx.deviceId} quality flags via ${ctx.transport}: ${bad.join(",")}`);
+  }
+}
+
+/**
+ * Mongo filter for a `quality=` query param:
+ *   ok          readings without flagged fields (includes older, unassessed ones)
+ *   flagged     readings with at least one flagged field
+ *   above_max,stale …  readings with any of these flags
+ * Returns { filter } or { error }.
+ */
+function qualityFilter(param) {
+  if (!param) return { filter: {} };
+  const wanted = String(param).split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+  const unknown = wanted.filter(w => w !== "flagged" && !FLAGS.includes(w));
+  if (unknown.length) {
+    return { error: `Unknown quality '${unknown.join(",")}'. Use ok, flagged, ${BAD_FLAGS.join(", ")}` };
+  }
+
+  const ors = [];
+  if (wanted.includes("ok")) ors.push({ "qualityFlags.0": { $exists: false } });
+  if (wanted.includes("flagged")) ors.push({ "qualityFlags.0": { $exists: true } });
+  const flags = wanted.filter(w => BAD_FLAGS.includes(w));
+  if (flags.length) ors.push({ qualityFlags: { $in: flags } });
+
+  // wrapped in $and so it can be spread next to timeRangeFilter's own $or
+  return { filter: ors.length === 1 ? ors[0] : { $and: [{ $or: ors }] } };
+}
+
+module.exports = { assessQuality, qualityFilter, FLAGS, BAD_FLAGS };
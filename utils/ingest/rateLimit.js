@@ -0,0 +1,175 @@
+// utils/ingest/rateLimit.js
+// Per-device token buckets, checked before a message goes through the pipeline.
+//
+// Limits come from the device model (DeviceModel.rateLimit, model code = first
+// 2 chars of deviceId) or the INGEST_RATE_PER_SEC / INGEST_RATE_BURST defaults.
+// Excess messages are dropped, or with onExceed "sample" one in `sampleEvery`
+// still goes through. Counts are flushed to Device.throttle once a minute, and a
+// device that keeps exceeding its limit gets `throttle.flagged` for the admin listing.
+//
+// HTTP ingest also has a per-IP bucket (admitIp, INGEST_IP_RATE_PER_SEC /
+// INGEST_IP_BURST), checked before device auth so junk requests stay cheap; the
+// device bucket is only charged once the request is authenticated.
+
+const Device = require("../../models/Device");
+const DeviceModel = require("../../models/DeviceModel");
+
+const DEFAULT_LIMIT = {
+  ratePerSec: Number(process.env.INGEST_RATE_PER_SEC) || 2,
+  burst: Number(process.env.INGEST_RATE_BURST) || 20,
+  onExceed: "drop",
+  sampleEvery: 10,
+};
+const IP_LIMIT = {
+  ratePerSec: Number(process.env.INGEST_IP_RATE_PER_SEC) || 20,
+  burst: Number(process.env.INGEST_IP_BURST) || 100,
+};
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const IDLE_MS = 10 * 60 * 1000;   // forget buckets of devices that went quiet
+const FLAG_AFTER = 3;             // consecutive flushes with excess → flagged
+const CLEAR_AFTER = 10;           // consecutive clean flushes → unflagged
+
+const limitCache = new Map(); // model code -> { limit, at }
+const buckets = new Map();    // deviceId -> { tokens, at, excess, dropped, sampled, hot, cold, flagged }
+const ipBuckets = new Map();  // ip -> { tokens, at }
+
+// Returns an error string for a bad declaration, or null.
+function validateRateLimit(rl) {
+  if (rl === null) return null;
+  if (typeof rl !== "object" || Array.isArray(rl)) return "rateLimit must be an object";
+  if (rl.ratePerSec != null && !(Number(rl.ratePerSec) > 0)) return "rateLimit.ratePerSec must be > 0";
+  if (rl.burst != null && !(Number(rl.burst) >= 1)) return "rateLimit.burst must be >= 1";
+  if (rl.onExceed != null && !["drop", "sample"].includes(rl.onExceed)) return "rateLimit.onExceed must be drop or sample";
+  if (rl.sampleEvery != null && !(Number.isInteger(rl.sampleEvery) && rl.sampleEvery >= 2)) return "rateLimit.sampleEvery must be an integer >= 2";
+  return null;
+}
+
+async function limitFor(deviceId) {
+  const modelCode = String(deviceId).slice(0, 2);
+  const hit = limitCache.get(modelCode);
+  if (hit && Date.now() - hit.at < CACHE_TTL_MS) return hit.limit;
+
+  let limit = DEFAULT_LIMIT;
+  try {
+    const model = await DeviceModel.findOne({ code: modelCode }).select("rateLimit").lean();
+    const rl = model?.rateLimit || {};
+    limit = {
+      ratePerSec: rl.ratePerSec ?? DEFAULT_LIMIT.ratePerSec,
+      burst: rl.burst ?? DEFAULT_LIMIT.burst,
+      onExceed: rl.onExceed || DEFAULT_LIMIT.onExceed,
+      sampleEvery: rl.sampleEvery ?? DEFAULT_LIMIT.sampleEvery,
+    };
+  } catch (err) {
+    console.error(`❌ Rate limit lookup failed for model ${modelCode}:`, err.message);
+  }
+  limitCache.set(modelCode, { limit, at: Date.now() });
+  return limit;
+}
+
+function clearRateLimitCache() {
+  limitCache.clear();
+}
+
+/**
+ * Take one token for a message from `deviceId`.
+ * @returns {Promise<{ allowed: boolean, sampled?: boolean }>}
+ */
+async function admit(deviceId) {
+  const limit = await limitFor(deviceId);
+  const now = Date.now();
+
+  let b = buckets.get(deviceId);
+  if (!b) {
+    b = { tokens: limit.burst, at: now, excess: 0, dropped: 0, sampled: 0, hot: 0, cold: 0, flagged: false };
+    buckets.set(deviceId, b);
+  }
+  b.tokens = Math.min(limit.burst, b.tokens + ((now - b.at) / 1000) * limit.ratePerSec);
+  b.at = now;
+
+  if (b.tokens >= 1) {
+    b.tokens -= 1;
+    return { allowed: true };
+  }
+
+  b.excess++;
+  if (limit.onExceed === "sample" && b.excess % limit.sampleEvery === 0) {
+    b.sampled++;
+    return { allowed: true, sampled: true };
+  }
+  b.dropped++;
+  return { allowed: false };
+}
+
+/**
+ * Take one token for a request from `ip` (HTTP ingest, before device auth).
+ * @returns {boolean} allowed
+ */
+function admitIp(ip) {
+  const now = Date.now();
+  const b = ipBuckets.get(ip) || { tokens: IP_LIMIT.burst, at: now };
+  b.tokens = Math.min(IP_LIMIT.burst, b.tokens + ((now - b.at) / 1000) * IP_LIMIT.ratePerSec);
+  b.at = now;
+  ipBuckets.set(ip, b);
+  if (b.tokens < 1) return false;
+  b.tokens -= 1;
+  return true;
+}
+
+/**
+ * Write drop/sample counts since the last flush to Device.throttle and
+ * update the flag. Runs from the server's cron.
+ */
+async function flushThrottleStats() {
+  const now = Date.now();
+  const ops = [];
+
+  for (const [deviceId, b] of buckets) {
+    const exceeded = b.dropped + b.sampled > 0;
+    if (exceeded) {
+      b.hot++;
+      b.cold = 0;
+    } else {
+      b.cold++;
+      b.hot = 0;
+    }
+
+    const $set = {};
+    if (exceeded) {
+      $set["throttle.lastExceededAt"] = new Date(b.at);
+      console.log(`🚦 ${deviceId} over its ingest limit: dropped ${b.dropped}, sampled ${b.sampled}`);
+    }
+    if (!b.flagged && b.hot >= FLAG_AFTER) {
+      b.flagged = true;
+      Object.assign($set, { "throttle.flagged": true, "throttle.flaggedAt": new Date(now) });
+      console.warn(`🚩 ${deviceId} flagged: over its ingest limit for ${b.hot} minutes`);
+    } else if (b.cold === CLEAR_AFTER) {
+      // also clears a flag left over from before a restart
+      b.flagged = false;
+      $set["throttle.flagged"] = false;
+    }
+
+    const update = {};
+    if (Object.keys($set).length) update.$set = $set;
+    if (exceeded) update.$inc = { "throttle.dropped": b.dropped, "throttle.sampled": b.sampled };
+    if (Object.keys(update).length) ops.push({ updateOne: { filter: { deviceId }, update } });
+    b.excess = b.dropped = b.sampled = 0;
+
+    if (!b.flagged && now - b.at > IDLE_MS) buckets.delete(deviceId);
+  }
+
+  for (const [ip, b] of ipBuckets) {
+    if (now - b.at > IDLE_MS) ipBuckets.delete(ip);
+  }
+
+  if (ops.length) await Device.bulkWrite(ops, { ordered: false });
+  return ops.length;
+}
+
+module.exports = {
+  admit,
+  admitIp,
+  flushThrottleStats,
+  validateRateLimit,
+  clearRateLimitCache,
+  DEFAULT_LIMIT,
+};
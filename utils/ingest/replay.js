@@ -0,0 +1,69 @@
+// utils/ingest/replay.js
+// Re-run stored dead letters through the current pipeline (e.g. after a metricSpec fix).
+
+const Device = require("../../models/Device");
+const { ingestHealth } = require("./index");
+const { parseDeviceTime } = require("./time");
+const { decodePayload } = require("./codec");
+const { closeWindows, saveWindowDocs } = require("./window");
+
+async function finish(dl, outcome) {
+  dl.replayCount += 1;
+  dl.lastReplayAt = new Date();
+  dl.lastReplay = outcome;
+  dl.status = outcome.healthDataId ? "replayed" : "replay-rejected";
+  await dl.save();
+  return { id: dl._id, status: dl.status, ...outcome };
+}
+
+/**
+ * Replay one DeadLetter document. Uses a scratch presence/on-change state so
+ * old messages do not disturb the live stream, never retracts stored readings
+ * on a presence 0 (the replayed message is not a live 1→0 transition), and
+ * keeps the original arrival time unless the payload carries its own device
+ * timestamp.
+ */
+async function replayDeadLetter(dl) {
+  if (dl.status === "replayed") {
+    return { id: dl._id, status: dl.status, reason: "already-replayed" };
+  }
+  if (dl.topic && !dl.topic.includes("/health")) {
+    return finish(dl, { reason: "unsupported", detail: `cannot replay topic ${dl.topic}` });
+  }
+
+  let payload;
+  try {
+    const encoding = dl.encoding || "json";
+    payload = decodePayload(Buffer.from(dl.raw, encoding === "json" ? "utf8" : "base64"), encoding);
+  } catch (err) {
+    return finish(dl, { reason: "parse-error", detail: err.message });
+  }
+  // HTTP dead letters keep the whole request body
+  if (dl.transport === "http" && payload?.data) payload = payload.data;
+
+  const device = await Device.findOne({ deviceId: dl.deviceId });
+  if (!device) return finish(dl, { reason: "unknown-device", detail: "unknown-device" });
+
+  const measuredAt = parseDeviceTime(payload?.timestamp ?? payload?.measuredAt ?? payload?.ts) || dl.receivedAt;
+  const state = { lastPresence: 1, lastValues: {} };
+  const ctx = await ingestHealth({
+    deviceId: dl.deviceId,
+    device,
+    payload,
+    raw: dl.raw,
+    encoding: dl.encoding,
+    transport: dl.transport,
+    topic: dl.topic,
+    measuredAt,
+    state,
+    retract: false,
+    deadLetter: false,
+  });
+
+  if (ctx.rejected) return finish(dl, { ...ctx.rejected });
+  // a single replayed reading is its own window
+  const [windowed] = await saveWindowDocs(closeWindows(dl.deviceId, state));
+  return finish(dl, { reason: null, detail: null, healthDataId: ctx.saved?._id || windowed?._id });
+}
+
+module.exports = { replayDeadLetter };
@@ -0,0 +1,117 @@
+// utils/ingest/reprocess.js
+// Re-derive stored HealthData records from their raw UART lines with the
+// current parsers and metricSpec (scripts/reprocessHealthData.js).
+//
+// Only the per-reading stages run: normalize → UART merge → quality flags.
+// Identity, measured time, clock, sequence, retraction and signal chunks of a
+// record are kept; on-change dedupe and averaging are not re-applied, since
+// the record already exists. The payload is the raw lines plus the stored
+// values the lines did not set (JSON sent next to them): everything in
+// `lineFields` (or, for records stored before it, any path a layout of the
+// model can set) is parsed again, so a key the lines no longer produce is
+// unset. A JSON field nulled by an earlier quality check stays null. Values
+// that went into an averaged window at ingest (`windowedFields`, or for older
+// records the periodic paths missing from the record) stay off the record, so
+// the window does not count them twice.
+
+const { createContext, runPipeline } = require("./index");
+const { normalize } = require("./normalize");
+const { mergeUart, layoutPaths } = require("./uart");
+const { assessQuality } = require("./quality");
+const { periodicFields } = require("./window");
+const { FLAT_DEFAULTS, getPath, clearPath } = require("./spec");
+
+const REPROCESS_STAGES = [normalize, mergeUart, assessQuality];
+
+const SIGNAL_ARRAYS = ["rrIntervals", "rawWaveform"];
+
+const rawLines = (record) =>
+  typeof record.raw === "string" ? record.raw.split("\n").map(s => s.trim()).filter(Boolean) : [];
+
+// raw lines plus what was stored outside them; `linePaths` are left to the parser
+function payloadFor(record, linePaths) {
+  const payload = { lines: rawLines(record), metrics: {}, signals: {} };
+  for (const f of FLAT_DEFAULTS) {
+    if (record[f] != null && !linePaths.has(f)) payload[f] = record[f];
+  }
+  for (const [k, v] of Object.entries(record.metrics || {})) {
+    if (!linePaths.has(`metrics.${k}`)) payload.metrics[k] = v;
+  }
+  for (const [k, v] of Object.entries(record.signals || {})) {
+    if (!SIGNAL_ARRAYS.includes(k) && !linePaths.has(`signals.${k}`)) payload.signals[k] = v;
+  }
+  return payload;
+}
+
+// paths the ingest moved into window records
+function windowedPaths(record, device, linePaths) {
+  if (Array.isArray(record.windowedFields)) return new Set(record.windowedFields);
+  return new Set(periodicFields(device)
+    .map(f => f.path)
+    .filter(path => linePaths.has(path) && getPath(record, path) == null));
+}
+
+// take windowed values (and their quality keys) back off the re-derived doc
+function dropWindowed(doc, device, paths) {
+  if (!paths.size) return;
+  for (const { key, path } of periodicFields(device)) {
+    if (!paths.has(path)) continue;
+    clearPath(doc, path);
+    if (doc.quality) delete doc.quality[key];
+  }
+  doc.qualityFlags = [...new Set(Object.values(doc.quality || {}).filter(f => f !== "ok"))];
+}
+
+// the fields reprocessing may change, as flat paths
+function derivedFields(doc) {
+  const out = {};
+  for (const f of FLAT_DEFAULTS) out[f] = doc[f] ?? null;
+  for (const [k, v] of Object.entries(doc.metrics || {})) out[`metrics.${k}`] = v ?? null;
+  for (const [k, v] of Object.entries(doc.signals || {})) {
+    if (!SIGNAL_ARRAYS.includes(k)) out[`signals.${k}`] = v ?? null;
+  }
+  out.quality = doc.quality || {};
+  out.qualityFlags = doc.qualityFlags || [];
+  out.raw = doc.raw ?? null;
+  out.lineFields = doc.lineFields || [];
+  return out;
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * @param {object} record   lean HealthData document with raw UART lines
+ * @param {object} opts.device  Device document (for model UART layouts and metricSpec)
+ * @param {object} opts.state   scratch ingest state shared across one device's run (stale checks)
+ * @returns {Promise<{ changes: Object<string, [old, new]>, set, unset }>}
+ */
+async function reprocessRecord(record, { device, state }) {
+  const linePaths = Array.isArray(record.lineFields) ? new Set(record.lineFields) : await layoutPaths(device);
+  const ctx = createContext({
+    deviceId: record.deviceId,
+    device,
+    payload: payloadFor(record, linePaths),
+    transport: "reprocess",
+    measuredAt: record.timestamp,
+    state,
+  });
+  await runPipeline(ctx, REPROCESS_STAGES);
+  dropWindowed(ctx.doc, device, windowedPaths(record, device, linePaths));
+
+  const before = derivedFields(record);
+  const after = derivedFields(ctx.doc);
+  const changes = {};
+  const set = {};
+  const unset = {};
+  for (const path of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    const oldValue = before[path] ?? null;
+    const newValue = path in after ? after[path] : undefined;
+    if (same(oldValue, newValue ?? null)) continue;
+    changes[path] = [oldValue, newValue ?? null];
+    if (newValue === undefined) unset[path] = "";
+    else set[path] = newValue;
+  }
+  return { changes, set, unset };
+}
+
+module.exports = { reprocessRecord, rawLines, REPROCESS_STAGES };
@@ -0,0 +1,168 @@
+// utils/ingest/sequence.js
+// Stage: idempotent ingest. Readings may carry a per-device `seq` (integer) or
+// `msgId` (string); a repeat inside INGEST_DEDUPE_WINDOW_SEC is dropped as
+// "duplicate" (QoS 1 redelivery, HTTP retries). Jumps in `seq` are recorded as
+// SequenceGap documents, and late messages inside a gap count as filled.
+//
+// Ids are claimed in IngestMessage (unique index, TTL) so the window survives
+// restarts and is shared between instances; a small in-memory set catches
+// the common case without a round trip.
+//
+// A device that restarts its counter should send a boot/session id (`bootId`):
+// sequence numbers are claimed per boot, so a new boot never collides with the
+// old one. Without it, only a jump back by at least RESET_BELOW counts as a
+// restart (a redelivered seq 0 is just a duplicate); claims made before the
+// restart are then taken over by the new ones instead of rejecting them, and
+// expire with the TTL like any other.
+
+const IngestMessage = require("../../models/IngestMessage");
+const SequenceGap = require("../../models/SequenceGap");
+
+const WINDOW_SEC = Number(process.env.INGEST_DEDUPE_WINDOW_SEC) || 3600;
+const RECENT_MAX = 512;      // ids kept in memory per device
+const RESET_BELOW = 1000;    // seq this far below the last one = device restarted its counter
+const MAX_GAP = 100000;      // bigger forward jumps are treated as a reset too
+
+const devices = new Map(); // deviceId -> { recent: Set, lastSeq: number | null, boot, resetAt: Date | null, loaded: boolean }
+
+function entryFor(deviceId) {
+  let e = devices.get(deviceId);
+  if (!e) {
+    e = { recent: new Set(), lastSeq: null, boot: null, resetAt: null, loaded: false };
+    devices.set(deviceId, e);
+  }
+  return e;
+}
+
+function remember(e, key) {
+  e.recent.add(key);
+  if (e.recent.size > RECENT_MAX) e.recent.delete(e.recent.values().next().value);
+}
+
+function messageKey(payload) {
+  const seq = payload?.seq;
+  if (Number.isInteger(seq) && seq >= 0) {
+    const boot = payload.bootId ?? payload.boot;
+    if (boot == null || !String(boot).trim()) return { key: `seq:${seq}`, seq, boot: null };
+    return { key: `seq:${String(boot).trim()}:${seq}`, seq, boot: String(boot).trim() };
+  }
+  const msgId = payload?.msgId ?? payload?.messageId;
+  if (msgId != null && String(msgId).trim()) return { key: `id:${String(msgId).trim()}`, seq: null };
+  return null;
+}
+
+// after a restart, continue from the highest seq still inside the window
+async function loadLastSeq(deviceId, e) {
+  if (e.loaded) return;
+  e.loaded = true;
+  const last = await IngestMessage.findOne({ deviceId, seq: { $ne: null } })
+    .sort({ createdAt: -1 })
+    .select("seq boot")
+    .lean();
+  if (last && e.lastSeq == null) {
+    e.lastSeq = last.seq;
+    e.boot = last.boot ?? null;
+  }
+}
+
+async function trackGap(ctx, e, seq) {
+  const { deviceId } = ctx;
+  const last = e.lastSeq;
+
+  if (last == null || seq === last + 1) {
+    e.lastSeq = seq;
+    return;
+  }
+  if (seq > last + 1 && seq - last <= MAX_GAP) {
+    const gap = { deviceId, from: last + 1, to: seq - 1, size: seq - last - 1, transport: ctx.transport };
+    await SequenceGap.create(gap);
+    console.warn(`🕳️ ${deviceId} sequence gap ${gap.from}..${gap.to} (${gap.size} missing)`);
+    e.lastSeq = seq;
+    return;
+  }
+  if (seq < last) {
+    // late arrival: fill the gap it belongs to
+    await SequenceGap.updateOne(
+      { deviceId, from: { $lte: seq }, to: { $gte: seq }, detectedAt: { $gte: new Date(Date.now() - WINDOW_SEC * 1000) } },
+      { $inc: { filled: 1 }, $set: { lastFilledAt: new Date() } }
+    );
+    return;
+  }
+  // forward jump too large to be loss
+  console.log(`🔁 ${deviceId} sequence jumped to ${seq} (was ${last})`);
+  e.lastSeq = seq;
+}
+
+function isReset(e, id) {
+  if (e.lastSeq == null) return false;
+  if (id.boot != null || e.boot != null) return id.boot !== e.boot;
+  return e.lastSeq - id.seq >= RESET_BELOW;
+}
+
+function resetSequence(deviceId, e, id) {
+  console.log(`🔁 ${deviceId} sequence restarted at ${id.seq} (was ${e.lastSeq}${id.boot != null ? `, boot ${id.boot}` : ""})`);
+  for (const key of e.recent) if (key.startsWith("seq:")) e.recent.delete(key);
+  e.lastSeq = null;
+  // per-boot keys cannot collide; plain ones claimed before now belong to the old counter
+  e.resetAt = id.boot == null ? new Date() : null;
+}
+
+// an existing claim from before the counter restarted is taken over, not a duplicate
+async function takeOverClaim(deviceId, e, id) {
+  if (id.seq == null || !e.resetAt) return false;
+  const res = await IngestMessage.updateOne(
+    { deviceId, key: id.key, createdAt: { $lt: e.resetAt } },
+    { $set: { createdAt: new Date(), seq: id.seq, boot: id.boot } }
+  );
+  return res.modifiedCount > 0;
+}
+
+async function sequenceCheck(ctx) {
+  const id = messageKey(ctx.payload);
+  if (!id) return;
+
+  const { deviceId } = ctx;
+  const e = entryFor(deviceId);
+  if (id.seq != null) {
+    await loadLastSeq(deviceId, e);
+    if (isReset(e, id)) resetSequence(deviceId, e, id);
+    if (id.boot != null) e.boot = id.boot;
+  }
+  if (e.recent.has(id.key)) return ctx.reject("duplicate", id.key);
+
+  try {
+    await IngestMessage.create({ deviceId, key: id.key, seq: id.seq, boot: id.boot });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    if (!(await takeOverClaim(deviceId, e, id))) {
+      remember(e, id.key);
+      return ctx.reject("duplicate", id.key);
+    }
+  }
+  remember(e, id.key);
+  ctx.messageKey = id.key;
+
+  if (id.seq == null) {
+    ctx.doc.msgId = id.key.slice(3);
+  } else {
+    ctx.doc.seq = id.seq;
+    await trackGap(ctx, e, id.seq);
+  }
+}
+
+/**
+ * Give a claimed id back when its reading was not stored, so a retry or a
+ * dead-letter replay is not mistaken for a duplicate.
+ */
+async function releaseMessage(ctx) {
+  if (!ctx.messageKey || ctx.rejected?.reason === "duplicate") return;
+  devices.get(ctx.deviceId)?.recent.delete(ctx.messageKey);
+  try {
+    await IngestMessage.deleteOne({ deviceId: ctx.deviceId, key: ctx.messageKey });
+  } catch (err) {
+    console.error(`❌ Failed to release message id ${ctx.messageKey}:`, err.message);
+  }
+  ctx.messageKey = null;
+}
+
+module.exports = { sequenceCheck, releaseMessage, messageKey };
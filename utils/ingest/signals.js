@@ -0,0 +1,155 @@
+// utils/ingest/signals.js
+// Stage: move RR intervals and raw waveform out of HealthData into SignalChunk
+// documents (one per device, kind and time bucket). The reading keeps only
+// `signalRefs.{rr,waveform}` = { bucketStart, count }.
+
+const SignalChunk = require("../../models/SignalChunk");
+const HealthData = require("../../models/HealthData");
+
+const BUCKET_SEC = { rr: 600, waveform: 60 };
+const SIGNAL_FIELDS = { rr: "rrIntervals", waveform: "rawWaveform" };
+const MAX_POINTS = 50000; // range reads are downsampled past this
+// longest range one read may load: every point in it is built in memory before downsampling
+const MAX_RANGE_SEC = { rr: 7 * 24 * 3600, waveform: 3600 };
+
+function bucketOf(kind, at) {
+  const size = BUCKET_SEC[kind] * 1000;
+  const start = Math.floor(at.getTime() / size) * size;
+  return { bucketStart: new Date(start), bucketEnd: new Date(start + size) };
+}
+
+const numbers = (arr) => (Array.isArray(arr) ? arr.map(Number).filter(Number.isFinite) : []);
+
+/**
+ * Take the signal arrays off a HealthData-shaped object.
+ * @returns {Array<{ kind, at, hz, values }>} segments to write with saveSignals
+ */
+function takeSignals(doc, hz = null) {
+  const segments = [];
+  const at = doc.timestamp;
+  for (const [kind, field] of Object.entries(SIGNAL_FIELDS)) {
+    const values = numbers(doc.signals?.[field]);
+    if (doc.signals) delete doc.signals[field];
+    if (!values.length) continue;
+    segments.push({ kind, at, hz: kind === "waveform" ? hz : null, values });
+    doc.signalRefs = doc.signalRefs || {};
+    doc.signalRefs[kind] = { bucketStart: bucketOf(kind, at).bucketStart, count: values.length };
+  }
+  return segments;
+}
+
+function signalOps(deviceId, segments) {
+  return segments.map(({ kind, at, hz, values, healthDataId }) => {
+    const { bucketStart, bucketEnd } = bucketOf(kind, at);
+    return {
+      updateOne: {
+        filter: { deviceId, kind, bucketStart },
+        update: {
+          $setOnInsert: { bucketEnd },
+          $push: { segments: { at, healthDataId, hz, values } },
+          $inc: { count: values.length },
+        },
+        upsert: true,
+      },
+    };
+  });
+}
+
+// Never throws: the reading itself is already stored.
+async function saveSignals(deviceId, segments) {
+  if (!segments?.length) return;
+  try {
+    await SignalChunk.bulkWrite(signalOps(deviceId, segments), { ordered: false });
+  } catch (err) {
+    console.error(`❌ ${deviceId} signal chunks not written:`, err.message);
+  }
+}
+
+function splitSignals(ctx) {
+  if (!ctx.doc) return;
+  const hz = Number(ctx.payload?.signals?.waveformHz ?? ctx.payload?.waveformHz) || null;
+  ctx.signalSegments = takeSignals(ctx.doc, hz);
+}
+
+// beat times for RR (cumulative ms from the reading), sample times for waveforms
+function segmentPoints(kind, seg) {
+  const at = new Date(seg.at).getTime();
+  if (kind === "rr") {
+    let t = at;
+    return seg.values.map(v => ({ t: new Date((t += v)), v }));
+  }
+  const step = seg.hz ? 1000 / seg.hz : 0;
+  return seg.values.map((v, i) => ({ t: new Date(at + i * step), v }));
+}
+
+function downsample(points, maxPoints) {
+  if (!maxPoints || points.length <= maxPoints) return points;
+  const size = Math.ceil(points.length / maxPoints);
+  const out = [];
+  for (let i = 0; i < points.length; i += size) {
+    const group = points.slice(i, i + size);
+    const vs = group.map(p => p.v);
+    out.push({
+      t: group[0].t,
+      v: vs.reduce((a, b) => a + b, 0) / vs.length,
+      min: Math.min(...vs),
+      max: Math.max(...vs),
+      n: vs.length,
+    });
+  }
+  return out;
+}
+
+/**
+ * Segments for one device and kind in [from, to], oldest first, skipping
+ * readings that were retracted.
+ */
+async function loadSegments({ deviceId, kind, from, to }) {
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+
+  const chunkQuery = { deviceId, kind };
+  if (to) chunkQuery.bucketStart = { $lte: to };
+  if (from) chunkQuery.bucketEnd = { $gt: from };
+
+  const [chunks, retracted] = await Promise.all([
+    SignalChunk.find(chunkQuery).sort({ bucketStart: 1 }).lean(),
+    HealthData.distinct("_id", {
+      deviceId,
+      retractedAt: { $ne: null },
+      ...(from || to ? { timestamp: range } : {}),
+    }),
+  ]);
+  const hidden = new Set(retracted.map(String));
+
+  return chunks
+    .flatMap(c => c.segments)
+    .filter(s => (!from || s.at >= from) && (!to || s.at <= to))
+    .filter(s => !s.healthDataId || !hidden.has(String(s.healthDataId)))
+    .sort((a, b) => a.at - b.at);
+}
+
+/**
+ * Range read for one device and kind, skipping readings that were retracted.
+ * @returns {Promise<{ points, total, downsampled }>}
+ */
+async function readSignals({ deviceId, kind, from, to, maxPoints }) {
+  const segments = await loadSegments({ deviceId, kind, from, to });
+  const points = segments.flatMap(s => segmentPoints(kind, s));
+  const limit = Math.min(maxPoints || MAX_POINTS, MAX_POINTS);
+  const out = downsample(points, limit);
+  return { points: out, total: points.length, downsampled: out !== points };
+}
+
+module.exports = {
+  splitSignals,
+  takeSignals,
+  saveSignals,
+  signalOps,
+  readSignals,
+  loadSegments,
+  BUCKET_SEC,
+  SIGNAL_FIELDS,
+  MAX_RANGE_SEC,
+};
@@ -0,0 +1,76 @@
+// utils/ingest/spec.js
+// metricSpec lookups shared by the stages, and on-change dedupe.
+
+const SPEC = require("../../config/metricSpec");
+const { fieldFor } = require("../../config/metricFields");
+
+const rulesFor = (device) => SPEC[device?.deviceType]?.params || {};
+
+// normalize fills missing flat vitals with 0, so a 0 there counts as "not sent"
+const FLAT_DEFAULTS = ["temperature", "humidity", "iaq", "eco2", "tvoc", "etoh", "hrv", "stress", "respiration", "heartRate"];
+
+function getPath(doc, path) {
+  const [head, key] = path.split(".");
+  return key ? doc?.[head]?.[key] : doc?.[head];
+}
+
+function setPath(doc, path, value) {
+  const [head, key] = path.split(".");
+  if (!key) doc[head] = value;
+  else (doc[head] = doc[head] || {})[key] = value;
+}
+
+function clearPath(doc, path) {
+  const [head, key] = path.split(".");
+  if (!key) delete doc[head];
+  else if (doc[head]) delete doc[head][key];
+}
+
+/**
+ * Numeric value of a spec id in this reading: sent under its id at the top
+ * level (`HR`), or already placed in its HealthData field (`heartRate`).
+ */
+function fieldValue(ctx, key) {
+  const path = fieldFor(key);
+  let value = ctx.payload?.[key];
+  if (value == null) {
+    value = getPath(ctx.doc, path);
+    if (value === 0 && FLAT_DEFAULTS.includes(path)) value = null;
+  }
+  const n = Number(value);
+  return value == null || typeof value === "boolean" || !Number.isFinite(n) ? null : n;
+}
+
+// like fieldValue, but values flagged by the quality stage do not count
+const specValue = (ctx, key) => {
+  const flag = ctx.doc?.quality?.[key];
+  return flag && flag !== "ok" ? null : fieldValue(ctx, key);
+};
+
+// A reading that only carries unchanged on-change values adds nothing.
+function dedupeOnChange(ctx) {
+  const { lastValues } = ctx.state;
+  let seen = 0;
+  const changes = [];
+  for (const [key, rule] of Object.entries(rulesFor(ctx.device))) {
+    const value = specValue(ctx, key);
+    if (value == null) continue;
+    seen++;
+    if (rule.mode === "onchange" && lastValues[key] === value) continue;
+    changes.push(key);
+    lastValues[key] = value;
+  }
+  ctx.changed = changes;
+  if (seen && !changes.length) ctx.reject("no-change", "no-change values");
+}
+
+module.exports = {
+  dedupeOnChange,
+  rulesFor,
+  fieldValue,
+  specValue,
+  getPath,
+  setPath,
+  clearPath,
+  FLAT_DEFAULTS,
+};
@@ -0,0 +1,24 @@
+// utils/ingest/state.js
+// In-memory per-device ingest state shared by the pipeline stages.
+
+const deviceState = new Map(); // deviceId -> { lastPresence, lastValues: {}, windows? }
+
+function getState(deviceId) {
+  let state = deviceState.get(deviceId);
+  if (!state) {
+    state = { lastPresence: 1, lastValues: {} };
+    deviceState.set(deviceId, state);
+  }
+  return state;
+}
+
+function resetState(deviceId) {
+  if (deviceId) deviceState.delete(deviceId);
+  else deviceState.clear();
+}
+
+function forEachState(fn) {
+  for (const [deviceId, state] of deviceState) fn(deviceId, state);
+}
+
+module.exports = { getState, resetState, forEachState };
@@ -0,0 +1,64 @@
+// utils/ingest/time.js
+// Device-side timestamps: parsing and sanity bounds.
+
+const MAX_FUTURE_MS = 5 * 60 * 1000;            // tolerate small clock drift ahead of us
+const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;     // buffered readings older than a week are refused
+
+// Accept ISO strings, epoch seconds or epoch milliseconds.
+function parseDeviceTime(v) {
+  if (v == null || v === "") return null;
+  let d;
+  if (typeof v === "number" || /^\d+(\.\d+)?$/.test(String(v))) {
+    const n = Number(v);
+    d = new Date(n < 1e12 ? n * 1000 : n);
+  } else {
+    d = new Date(v);
+  }
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+// Returns an error string, or null when `d` is usable relative to `now`.
+function checkDeviceTime(d, now = new Date()) {
+  if (!d) return "missing or unparseable timestamp";
+  if (d.getTime() - now.getTime() > MAX_FUTURE_MS) return "timestamp is in the future";
+  if (now.getTime() - d.getTime() > MAX_AGE_MS) return "timestamp is too old";
+  return null;
+}
+
+/* ---------- history queries: measured (`timestamp`) vs received (`receivedAt`) ---------- */
+
+// ?timeField=received|receivedAt → "received", anything else → "measured"
+function resolveTimeField(v) {
+  return v === "received" || v === "receivedAt" ? "received" : "measured";
+}
+
+// Filter fragment for a range on the chosen time. Documents stored before
+// `receivedAt` existed only have `timestamp`, which was the arrival time then.
+function timeRangeFilter(timeField, from, to) {
+  if (!from && !to) return {};
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  if (timeField !== "received") return { timestamp: range };
+  return {
+    $or: [
+      { receivedAt: range },
+      { receivedAt: { $exists: false }, timestamp: range }
+    ]
+  };
+}
+
+// Aggregation expression for the chosen time
+function timeExpr(timeField) {
+  return timeField === "received" ? { $ifNull: ["$receivedAt", "$timestamp"] } : "$timestamp";
+}
+
+module.exports = {
+  parseDeviceTime,
+  checkDeviceTime,
+  resolveTimeField,
+  timeRangeFilter,
+  timeExpr,
+  MAX_FUTURE_MS,
+  MAX_AGE_MS,
+};
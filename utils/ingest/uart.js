@@ -0,0 +1,194 @@
+// utils/ingest/uart.js
+// Stage 2: fold optional UART CSV lines (`line` / `lines`) into the document.
+//
+// Line formats are declarations, not code: config/uartLayouts.js holds the
+// built-ins and a DeviceModel can override or add tags per firmware version
+// (DeviceModel.uartLayouts). Parsers are compiled from those and cached.
+
+const DeviceModel = require("../../models/DeviceModel");
+const DEFAULT_LAYOUTS = require("../../config/uartLayouts");
+const { FLAT_DEFAULTS } = require("./spec");
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const TYPES = ["number", "int", "bool", "string"];
+const NESTED_PATH_RX = /^(metrics|signals)\.[A-Za-z_][A-Za-z0-9_]*$/;
+
+// flat paths are limited to the vitals, so a layout cannot overwrite deviceId, timestamp, window…
+const isLayoutPath = (path) => FLAT_DEFAULTS.includes(path) || NESTED_PATH_RX.test(path);
+
+const toNum = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : undefined;
+};
+
+function convert(raw, field) {
+  if (raw === undefined || raw === "") return undefined;
+  const type = field.type || "number";
+  if (type === "string") return String(raw);
+  if (type === "bool") return Number(raw) === 1;
+  let n = toNum(raw);
+  if (n === undefined) return undefined;
+  n = n * (field.scale ?? 1) + (field.offset ?? 0);
+  return type === "int" ? Math.round(n) : n;
+}
+
+// Returns an error string for a bad declaration, or null.
+function validateLayouts(layouts) {
+  if (!Array.isArray(layouts)) return "uartLayouts must be an array";
+  for (const [i, l] of layouts.entries()) {
+    if (!l || typeof l.tag !== "string" || !l.tag.trim()) return `uartLayouts[${i}].tag is required`;
+    if (!Array.isArray(l.fields)) return `uartLayouts[${i}].fields must be an array`;
+    for (const [j, f] of l.fields.entries()) {
+      if (!f || typeof f.path !== "string" || !isLayoutPath(f.path)) {
+        return `uartLayouts[${i}].fields[${j}].path must be one of ${FLAT_DEFAULTS.join(", ")} or metrics.<key> / signals.<key>`;
+      }
+      if (f.type && !TYPES.includes(f.type)) return `uartLayouts[${i}].fields[${j}].type must be one of ${TYPES.join(", ")}`;
+      if (f.index != null && !(Number.isInteger(f.index) && f.index >= 0)) return `uartLayouts[${i}].fields[${j}].index must be a non-negative integer`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Compile layouts into a line parser: line -> { patch, metrics, signals, raw } | null.
+ * Unknown tags are kept as raw only.
+ */
+function buildParser(layouts) {
+  const byTag = new Map(layouts.map(l => [l.tag.toUpperCase(), l]));
+
+  return function parseLine(line) {
+    if (!line || typeof line !== "string") return null;
+    const parts = line.trim().split(",").map(s => s.trim());
+    const tag = (parts[0] || "").toUpperCase();
+    const values = parts.slice(1);
+
+    const patch = {};    // goes to flat fields (temperature, heartRate, respiration, hrv, stress…)
+    const metrics = {};  // goes to HealthData.metrics (HRV detail)
+    const signals = {};  // goes to HealthData.signals (flags)
+
+    const layout = byTag.get(tag);
+    if (layout && values.length >= (layout.minFields || 0)) {
+      layout.fields.forEach((field, pos) => {
+        if (!isLayoutPath(field.path)) return; // layouts stored before paths were restricted
+        const value = convert(values[field.index ?? pos], field);
+        if (value === undefined) return;
+        if (field.path.startsWith("metrics.")) metrics[field.path.slice(8)] = value;
+        else if (field.path.startsWith("signals.")) signals[field.path.slice(8)] = value;
+        else patch[field.path] = value;
+      });
+    }
+
+    return { patch, metrics, signals, raw: line };
+  };
+}
+
+// Parse one UART CSV line with the built-in layouts
+const parseUartLine = buildParser(DEFAULT_LAYOUTS);
+
+// 3 = exact firmware match, 2 = "2.*" wildcard, 1 = any firmware, -1 = not applicable
+function firmwareScore(pattern, firmware) {
+  if (!pattern) return 1;
+  if (!firmware) return -1;
+  if (pattern === firmware) return 3;
+  if (pattern.endsWith("*") && firmware.startsWith(pattern.slice(0, -1))) return 2;
+  return -1;
+}
+
+// model layouts win per tag (most specific firmware first); built-ins fill the rest
+function resolveLayouts(modelLayouts, firmware) {
+  const best = new Map();
+  for (const l of modelLayouts || []) {
+    const score = firmwareScore(l.firmware, firmware);
+    const tag = l.tag.toUpperCase();
+    if (score > 0 && score > (best.get(tag)?.score || 0)) best.set(tag, { score, layout: l });
+  }
+  const merged = DEFAULT_LAYOUTS.filter(l => !best.has(l.tag.toUpperCase()));
+  for (const { layout } of best.values()) merged.push(layout);
+  return merged;
+}
+
+const parserCache = new Map(); // `${modelCode}|${firmware}` -> { parse, at }
+const pathsCache = new Map();  // modelCode -> { paths, at }
+
+// same model lookup as the device detail endpoint: model code = first 2 chars of deviceId
+async function parserFor(device) {
+  if (!device?.deviceId) return parseUartLine;
+  const modelCode = device.deviceId.slice(0, 2);
+  const firmware = device.firmwareVersion || "";
+  const key = `${modelCode}|${firmware}`;
+
+  const hit = parserCache.get(key);
+  if (hit && Date.now() - hit.at < CACHE_TTL_MS) return hit.parse;
+
+  const model = await DeviceModel.findOne({ code: modelCode }).select("uartLayouts").lean();
+  const parse = model?.uartLayouts?.length
+    ? buildParser(resolveLayouts(model.uartLayouts, firmware))
+    : parseUartLine;
+  parserCache.set(key, { parse, at: Date.now() });
+  return parse;
+}
+
+function clearParserCache() {
+  parserCache.clear();
+  pathsCache.clear();
+}
+
+async function mergeUart(ctx) {
+  const data = ctx.payload || {};
+  const lines = Array.isArray(data.lines) ? data.lines : (data.line ? [data.line] : []);
+  if (!lines.length) return;
+
+  const parse = await parserFor(ctx.device);
+  const raws = [];
+  const paths = new Set();
+  for (const ln of lines) {
+    const parsed = parse(String(ln));
+    if (!parsed) continue;
+    Object.assign(ctx.doc, parsed.patch);
+    Object.assign(ctx.doc.metrics, parsed.metrics);
+    Object.assign(ctx.doc.signals, parsed.signals);
+    Object.keys(parsed.patch).forEach(k => paths.add(k));
+    Object.keys(parsed.metrics).forEach(k => paths.add(`metrics.${k}`));
+    Object.keys(parsed.signals).forEach(k => paths.add(`signals.${k}`));
+    raws.push(parsed.raw);
+  }
+  if (raws.length) {
+    ctx.doc.raw = raws.join("\n");
+    ctx.doc.lineFields = [...paths];
+  }
+}
+
+/**
+ * Every path a UART line can set for this device's model: built-in layouts
+ * plus all model layouts, whatever their firmware. For records stored
+ * without `lineFields`.
+ * @returns {Promise<Set<string>>}
+ */
+async function layoutPaths(device) {
+  const modelCode = device?.deviceId ? device.deviceId.slice(0, 2) : "";
+  const hit = pathsCache.get(modelCode);
+  if (hit && Date.now() - hit.at < CACHE_TTL_MS) return hit.paths;
+
+  const model = modelCode
+    ? await DeviceModel.findOne({ code: modelCode }).select("uartLayouts").lean()
+    : null;
+  const paths = new Set(
+    [...DEFAULT_LAYOUTS, ...(model?.uartLayouts || [])]
+      .flatMap(l => (l.fields || []).map(f => f?.path))
+      .filter(p => typeof p === "string" && isLayoutPath(p))
+  );
+  pathsCache.set(modelCode, { paths, at: Date.now() });
+  return paths;
+}
+
+module.exports = {
+  mergeUart,
+  parseUartLine,
+  buildParser,
+  resolveLayouts,
+  validateLayouts,
+  parserFor,
+  layoutPaths,
+  clearParserCache,
+  toNum,
+};
@@ -0,0 +1,153 @@
+// utils/ingest/window.js
+// Stage: averaging windows. Periodic metrics (metricSpec mode "periodic") are
+// held in memory per device and `avgSec`, and one averaged record is written
+// per window with sample count and min/max. On-change metrics pass through.
+//
+// Windows are aligned to the epoch (HR 6s → :00, :06, :12 …) on measured time.
+// A window closes when a later reading arrives, or from the sweeper once the
+// device has been quiet for a full window. Open windows are lost on restart.
+
+const HealthData = require("../../models/HealthData");
+const { rulesFor, specValue, setPath, clearPath, FLAT_DEFAULTS } = require("./spec");
+const { fieldFor } = require("../../config/metricFields");
+const { forEachState } = require("./state");
+const { publishReading } = require("../liveEvents");
+
+const ENABLED = process.env.INGEST_WINDOWING !== "off";
+
+const periodicFields = (device) =>
+  Object.entries(rulesFor(device))
+    .filter(([, rule]) => rule.mode === "periodic" && rule.avgSec > 0)
+    .map(([key, rule]) => ({ key, path: fieldFor(key), avgSec: rule.avgSec }));
+
+// anything left in the reading once periodic values moved into windows
+function hasContent(ctx) {
+  const { doc } = ctx;
+  const rules = rulesFor(ctx.device);
+  if ((ctx.changed || []).some(key => rules[key]?.mode === "onchange")) return true;
+  if (doc.qualityFlags?.length) return true; // keep a trace of flagged fields
+  if (doc.signals?.rrIntervals?.length || doc.signals?.rawWaveform?.length) return true;
+  if (Object.values(doc.metrics || {}).some(v => v != null)) return true;
+  return FLAT_DEFAULTS.some(f => doc[f] != null && doc[f] !== 0);
+}
+
+function windowDoc(deviceId, sec, w) {
+  const doc = {
+    deviceId,
+    timestamp: new Date(w.start),
+    receivedAt: new Date(),
+    metrics: {},
+    signals: { presence: 1 },   // windows only ever hold readings taken with presence 1
+    window: { sec, start: new Date(w.start), end: new Date(w.end), count: w.samples.length, stats: {} },
+    quality: {},                // flagged values never reach a window
+    qualityFlags: [],
+  };
+  const keys = new Set(w.samples.flatMap(s => Object.keys(s.values)));
+  for (const key of keys) {
+    const values = w.samples.map(s => s.values[key]).filter(v => v != null);
+    const avg = values.reduce((a, b) => a + b, 0) / values.length;
+    setPath(doc, w.paths[key], avg);
+    doc.window.stats[key] = { min: Math.min(...values), max: Math.max(...values), count: values.length };
+    doc.quality[key] = "ok";
+  }
+  return doc;
+}
+
+// close every open window of one device state and return their records (not saved)
+function closeWindows(deviceId, state) {
+  const docs = [];
+  for (const [sec, w] of Object.entries(state.windows || {})) {
+    if (w.samples.length) docs.push(windowDoc(deviceId, Number(sec), w));
+    delete state.windows[sec];
+  }
+  return docs;
+}
+
+// drop samples measured at/after `cutoff` (presence 1→0 retracts the tail)
+function retractWindows(state, cutoff) {
+  for (const [sec, w] of Object.entries(state.windows || {})) {
+    w.samples = w.samples.filter(s => s.t < cutoff.getTime());
+    if (!w.samples.length) delete state.windows[sec];
+  }
+}
+
+async function saveWindowDocs(docs) {
+  if (!docs.length) return [];
+  const saved = await HealthData.insertMany(docs, { ordered: false });
+  saved.forEach(publishReading);
+  return saved;
+}
+
+async function windowAverage(ctx) {
+  if (!ENABLED) return;
+  const fields = periodicFields(ctx.device);
+  if (!fields.length) return;
+
+  const { state, doc } = ctx;
+  state.windows = state.windows || {};
+  const t = doc.timestamp.getTime();
+  ctx.windowDocs = ctx.windowDocs || [];
+
+  for (const { key, path, avgSec } of fields) {
+    const value = specValue(ctx, key);
+    if (value == null) continue;
+
+    const size = avgSec * 1000;
+    let w = state.windows[avgSec];
+    // late reading for a window already written: keep it raw on the reading itself
+    if (w && t < w.start) continue;
+    if (w && t >= w.end) {
+      ctx.windowDocs.push(windowDoc(ctx.deviceId, avgSec, w));
+      w = null;
+    }
+    if (!w) {
+      const start = Math.floor(t / size) * size;
+      w = state.windows[avgSec] = { start, end: start + size, lastAt: 0, samples: [], paths: {} };
+    }
+
+    let sample = w.samples[w.samples.length - 1];
+    if (!sample || sample.t !== t) w.samples.push(sample = { t, values: {} });
+    sample.values[key] = value;
+    w.paths[key] = path;
+    w.lastAt = Date.now();
+    clearPath(doc, path);
+    if (doc.quality) delete doc.quality[key];
+    (doc.windowedFields = doc.windowedFields || []).push(path);
+  }
+
+  // nothing left worth its own record; the values live on in the windows
+  if (!hasContent(ctx)) {
+    ctx.doc = null;
+    ctx.windowed = true;
+  }
+}
+
+/**
+ * Write windows of devices that went quiet: a window is closed once no sample
+ * arrived for a full window length after it ended.
+ */
+async function sweepWindows(now = Date.now()) {
+  const docs = [];
+  forEachState((deviceId, state) => {
+    for (const [sec, w] of Object.entries(state.windows || {})) {
+      if (now - w.lastAt < Number(sec) * 1000) continue;
+      if (w.samples.length) docs.push(windowDoc(deviceId, Number(sec), w));
+      delete state.windows[sec];
+    }
+  });
+  try {
+    await saveWindowDocs(docs);
+  } catch (err) {
+    console.error("❌ Failed to write averaged windows:", err.message);
+  }
+  return docs.length;
+}
+
+module.exports = {
+  windowAverage,
+  closeWindows,
+  retractWindows,
+  saveWindowDocs,
+  sweepWindows,
+  periodicFields,
+};
@@ -0,0 +1,34 @@
+// utils/liveEvents.js
+// In-process bus for the live stream (routes/streamRoutes.js).
+// Events are per deviceId: "reading" (a stored HealthData document),
+// "presence" (1→0 / 0→1) and "status" (active / inactive …).
+// Only this instance's ingests reach its subscribers.
+
+const { EventEmitter } = require("events");
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // one listener per open stream per device
+
+const channel = (deviceId) => `device:${deviceId}`;
+
+function publishLive(deviceId, type, data) {
+  if (!deviceId || !bus.listenerCount(channel(deviceId))) return;
+  bus.emit(channel(deviceId), { type, deviceId, at: new Date(), data });
+}
+
+// doc: HealthData document or plain object
+function publishReading(doc) {
+  if (!doc) return;
+  const data = typeof doc.toObject === "function" ? doc.toObject() : doc;
+  if (data.retractedAt) return;
+  publishLive(data.deviceId, "reading", data);
+}
+
+/** @returns {Function} unsubscribe */
+function subscribeLive(deviceIds, listener) {
+  const channels = [...new Set(deviceIds)].map(channel);
+  channels.forEach(c => bus.on(c, listener));
+  return () => channels.forEach(c => bus.off(c, listener));
+}
+
+module.exports = { publishLive, publishReading, subscribeLive };
@@ -20,8 +20,12 @@ const logger = winston.createLogger({
   ]
 });
 
+// query params that carry credentials (SSE clients send their JWT as ?token=)
+const SECRET_PARAMS_RX = /([?&](?:token|access_token)=)[^&#]*/gi;
+const redactUrl = (url) => String(url).replace(SECRET_PARAMS_RX, "$1[redacted]");
+
 // Helper wrappers
-logger.req = (req, meta) => logger.info(`${req.method} ${req.originalUrl}`, meta);
+logger.req = (req, meta) => logger.info(`${req.method} ${redactUrl(req.originalUrl)}`, meta);
 logger.err = (err, meta) => logger.error(err.message || err, { stack: err.stack, ...meta });
 
-module.exports = { logger };
+module.exports = { logger, redactUrl };
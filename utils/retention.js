@@ -0,0 +1,71 @@
+// utils/retention.js
+// Nightly retention: delete HealthData, signal chunks and rollups older than the
+// retention of the organization a device belongs to (config/retention.js).
+// Device → Account (accountId) → Organization (plan, retentionDays).
+
+const Account = require("../models/Account");
+const Device = require("../models/Device");
+const HealthData = require("../models/HealthData");
+const Organization = require("../models/Organization");
+const SignalChunk = require("../models/SignalChunk");
+const { rollupModel, ROLLUP_LEVELS } = require("../models/HealthRollup");
+const { PLAN_RETENTION_DAYS } = require("../config/retention");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// null = keep forever
+function retentionDaysFor(org) {
+  if (!org) {
+    const days = Number(process.env.RETENTION_DEFAULT_DAYS);
+    return days > 0 ? days : null;
+  }
+  if (org.retentionDays > 0) return org.retentionDays;
+  return org.plan ? PLAN_RETENTION_DAYS[org.plan] ?? null : null;
+}
+
+async function purge(deviceIds, days, now) {
+  if (!deviceIds.length || !days) return { readings: 0, chunks: 0 };
+  const cutoff = new Date(now - days * DAY_MS);
+  const [readings, chunks] = await Promise.all([
+    HealthData.deleteMany({ deviceId: { $in: deviceIds }, timestamp: { $lt: cutoff } }),
+    SignalChunk.deleteMany({ deviceId: { $in: deviceIds }, bucketEnd: { $lte: cutoff } }),
+    ...Object.entries(ROLLUP_LEVELS).map(([level, sec]) =>
+      rollupModel(level).deleteMany({ deviceId: { $in: deviceIds }, bucket: { $lte: new Date(cutoff - sec * 1000) } })
+    ),
+  ]);
+  return { readings: readings.deletedCount, chunks: chunks.deletedCount };
+}
+
+async function applyRetention(now = Date.now()) {
+  const [orgs, accounts, devices] = await Promise.all([
+    Organization.find().select("name plan retentionDays").lean(),
+    Account.find().select("accountId organizationId").lean(),
+    Device.find().select("deviceId accountId").lean(),
+  ]);
+
+  const orgById = new Map(orgs.map(o => [String(o._id), o]));
+  const orgByAccount = new Map(accounts.map(a => [a.accountId, a.organizationId ? orgById.get(String(a.organizationId)) : null]));
+
+  // group devices by retention, so each distinct period is one delete
+  const byDays = new Map();
+  for (const d of devices) {
+    const days = retentionDaysFor(orgByAccount.get(d.accountId) || null);
+    if (!days) continue;
+    if (!byDays.has(days)) byDays.set(days, []);
+    byDays.get(days).push(d.deviceId);
+  }
+
+  const summary = { readings: 0, chunks: 0, devices: 0 };
+  for (const [days, deviceIds] of byDays) {
+    const res = await purge(deviceIds, days, now);
+    summary.readings += res.readings;
+    summary.chunks += res.chunks;
+    summary.devices += deviceIds.length;
+    if (res.readings || res.chunks) {
+      console.log(`🧹 Retention ${days}d: ${res.readings} readings, ${res.chunks} signal chunks removed (${deviceIds.length} devices)`);
+    }
+  }
+  return summary;
+}
+
+module.exports = { applyRetention, retentionDaysFor };
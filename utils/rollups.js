@@ -0,0 +1,249 @@
+// utils/rollups.js
+// Rollups of HealthData (models/HealthRollup.js) at 1m / 5m / 1h / 1d, so
+// history queries read pre-aggregated buckets instead of raw readings.
+//
+// A job (every minute, server.js) rebuilds the 1m buckets touched by new
+// readings, then the coarser levels from the finer ones. Writes and
+// retractions mark their range with markRollupDirty; the job also picks up
+// readings received since its last run (with an overlap), resuming after a
+// restart from the newest rollup it wrote, so nothing stored while the server
+// was down or marked in a process that died is missed. Older data is
+// backfilled with scripts/rebuildRollups.js. Retracted readings are excluded,
+// like in the data routes, and so are the server HRV records. Buckets are UTC and aligned to the epoch; reads can
+// regroup them on a user's local time (readRollups tz).
+
+const HealthData = require("../models/HealthData");
+const { rollupModel, ROLLUP_LEVELS } = require("../models/HealthRollup");
+const { NOT_COMPUTED } = require("./hrvJob");
+
+// stat key -> HealthData path: the series the history endpoint charts
+const ROLLUP_FIELDS = {
+  temperature: "temperature",
+  humidity: "humidity",
+  iaq: "iaq",
+  eco2: "eco2",
+  tvoc: "tvoc",
+  etoh: "etoh",
+  hrv: "hrv",
+  stress: "stress",
+  heartRate: "heartRate",
+  respiration: "respiration",
+  sdnn: "metrics.sdnn",
+  rmssd: "metrics.rmssd",
+  lf: "metrics.lf",
+  hf: "metrics.hf",
+  lfhf: "metrics.lfhf",
+};
+
+const LEVELS = Object.keys(ROLLUP_LEVELS); // finest first
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CATCHUP_SEC = 15 * 60;     // first run ever (no rollups yet): readings received this long before
+const OVERLAP_MS = 5 * 60 * 1000; // receivedAt is set before the pipeline runs, the write can come later
+
+const dirty = new Map(); // deviceId -> { from, to } (ms, measured time) still to rebuild
+let lastRunAt = null;    // loaded from the rollups on the first run
+let running = false;
+
+const floorTo = (ms, size) => Math.floor(ms / size) * size;
+
+const TRUNC_UNITS = [["day", 86400000], ["hour", 3600000], ["minute", 60000], ["second", 1000]];
+
+// start of the `size` ms bucket holding `field`: epoch-aligned, or local-time aligned
+// with $dateTrunc when an IANA `tz` is given (days follow DST, 23h or 25h long)
+function bucketExpr(field, size, tz) {
+  if (tz) {
+    const [unit, ms] = TRUNC_UNITS.find(([, ms]) => size % ms === 0);
+    return { $dateTrunc: { date: field, unit, binSize: size / ms, timezone: tz } };
+  }
+  const t = { $toLong: field };
+  return { $toDate: { $subtract: [t, { $mod: [t, size] }] } };
+}
+
+// $group accumulators, from raw readings or from the level below
+function statsGroup(fromRaw) {
+  const group = { readings: { $sum: fromRaw ? 1 : "$readings" } };
+  for (const [key, path] of Object.entries(ROLLUP_FIELDS)) {
+    if (fromRaw) {
+      group[`${key}__sum`] = { $sum: `$${path}` };
+      group[`${key}__count`] = { $sum: { $cond: [{ $isNumber: `$${path}` }, 1, 0] } };
+      group[`${key}__min`] = { $min: `$${path}` };
+      group[`${key}__max`] = { $max: `$${path}` };
+    } else {
+      group[`${key}__sum`] = { $sum: `$stats.${key}.sum` };
+      group[`${key}__count`] = { $sum: `$stats.${key}.count` };
+      group[`${key}__min`] = { $min: `$stats.${key}.min` };
+      group[`${key}__max`] = { $max: `$stats.${key}.max` };
+    }
+  }
+  return group;
+}
+
+function toStats(row) {
+  const stats = {};
+  for (const key of Object.keys(ROLLUP_FIELDS)) {
+    const count = row[`${key}__count`];
+    if (!count) continue;
+    stats[key] = { sum: row[`${key}__sum`], count, min: row[`${key}__min`], max: row[`${key}__max`] };
+  }
+  return stats;
+}
+
+async function rebuildLevel(level, deviceId, from, to) {
+  const size = ROLLUP_LEVELS[level] * 1000;
+  const start = new Date(floorTo(from, size));
+  const end = new Date(floorTo(to, size) + size);
+  const finer = LEVELS[LEVELS.indexOf(level) - 1];
+
+  const rows = finer
+    ? await rollupModel(finer).aggregate([
+      { $match: { deviceId, bucket: { $gte: start, $lt: end } } },
+      { $group: { _id: bucketExpr("$bucket", size), ...statsGroup(false) } },
+    ])
+    : await HealthData.aggregate([
+      { $match: { deviceId, retractedAt: null, ...NOT_COMPUTED, timestamp: { $gte: start, $lt: end } } },
+      { $group: { _id: bucketExpr("$timestamp", size), ...statsGroup(true) } },
+    ]);
+
+  const now = new Date();
+  const ops = rows.map(r => ({
+    updateOne: {
+      filter: { deviceId, bucket: r._id },
+      update: { $set: { readings: r.readings, stats: toStats(r), updatedAt: now } },
+      upsert: true,
+    },
+  }));
+  // buckets whose readings were all retracted or removed
+  ops.push({ deleteMany: { filter: { deviceId, bucket: { $gte: start, $lt: end, $nin: rows.map(r => r._id) } } } });
+  await rollupModel(level).bulkWrite(ops, { ordered: false });
+}
+
+/**
+ * Rebuild every level for one device over a measured-time range (ms or Date),
+ * a day at a time.
+ */
+async function rebuildRollups(deviceId, from, to) {
+  const start = new Date(from).getTime();
+  const end = new Date(to).getTime();
+  for (let day = floorTo(start, DAY_MS); day <= end; day += DAY_MS) {
+    const a = Math.max(start, day);
+    const b = Math.min(end, day + DAY_MS - 1);
+    for (const level of LEVELS) await rebuildLevel(level, deviceId, a, b);
+  }
+}
+
+function markRollupDirty(deviceId, from, to = from) {
+  const a = new Date(from).getTime();
+  const b = new Date(to).getTime();
+  const range = dirty.get(deviceId);
+  dirty.set(deviceId, range ? { from: Math.min(range.from, a), to: Math.max(range.to, b) } : { from: a, to: b });
+}
+
+// the last run that wrote rollups, as far as the database knows
+async function lastRollupRun(now) {
+  const last = await rollupModel(LEVELS[0]).findOne().sort({ updatedAt: -1 }).select("updatedAt").lean();
+  return last?.updatedAt ? last.updatedAt.getTime() : now - CATCHUP_SEC * 1000;
+}
+
+async function updateRollups(now = Date.now()) {
+  if (running) return 0;
+  running = true;
+  try {
+    if (lastRunAt === null) lastRunAt = await lastRollupRun(now);
+    const arrived = await HealthData.aggregate([
+      { $match: { receivedAt: { $gte: new Date(lastRunAt - OVERLAP_MS) }, ...NOT_COMPUTED } },
+      { $group: { _id: "$deviceId", from: { $min: "$timestamp" }, to: { $max: "$timestamp" } } },
+    ]);
+    lastRunAt = now;
+    for (const a of arrived) markRollupDirty(a._id, a.from, a.to);
+
+    const work = [...dirty];
+    dirty.clear();
+    for (const [deviceId, { from, to }] of work) {
+      try {
+        await rebuildRollups(deviceId, from, to);
+      } catch (err) {
+        markRollupDirty(deviceId, from, to); // retried next run
+        console.error(`❌ ${deviceId} rollups not updated:`, err.message);
+      }
+    }
+    return work.length;
+  } finally {
+    running = false;
+  }
+}
+
+// coarsest level whose buckets tile the interval, or null; with local-time
+// buckets the level must also divide the zone's UTC offsets (alignSec)
+function rollupLevelFor(intervalSec, alignSec = []) {
+  return [...LEVELS].reverse().find(level =>
+    [intervalSec, ...alignSec].every(sec => sec % ROLLUP_LEVELS[level] === 0)
+  ) || null;
+}
+
+// sum two $group rows of statsGroup shape (same bucket)
+function mergeRows(a, b) {
+  const out = { ...a, readings: a.readings + b.readings };
+  for (const key of Object.keys(ROLLUP_FIELDS)) {
+    out[`${key}__sum`] = (a[`${key}__sum`] || 0) + (b[`${key}__sum`] || 0);
+    out[`${key}__count`] = (a[`${key}__count`] || 0) + (b[`${key}__count`] || 0);
+    const mins = [a[`${key}__min`], b[`${key}__min`]].filter(v => v != null);
+    const maxs = [a[`${key}__max`], b[`${key}__max`]].filter(v => v != null);
+    out[`${key}__min`] = mins.length ? Math.min(...mins) : null;
+    out[`${key}__max`] = maxs.length ? Math.max(...maxs) : null;
+  }
+  return out;
+}
+
+/**
+ * Rollup buckets of `level` regrouped into `intervalSec` buckets, in local
+ * time when `tz` is given. Covers exactly [from, to] like the raw query: the
+ * level buckets inside the range come from the rollups, the partial ones at
+ * either end are scanned from the readings.
+ * @returns {Promise<Array<{ timestamp, readings, stats: { [key]: { avg, min, max, count } } }>>}
+ */
+async function readRollups({ deviceId, from, to, intervalSec, tz, level = rollupLevelFor(intervalSec) }) {
+  const levelSize = ROLLUP_LEVELS[level] * 1000;
+  const start = new Date(Math.ceil(from.getTime() / levelSize) * levelSize);
+  const end = new Date(floorTo(to.getTime(), levelSize));
+  const whole = start < end;
+  const size = intervalSec * 1000;
+
+  const edges = whole
+    ? [{ timestamp: { $gte: from, $lt: start } }, { timestamp: { $gte: end, $lte: to } }]
+    : [{ timestamp: { $gte: from, $lte: to } }];
+  const [rolled, scanned] = await Promise.all([
+    whole
+      ? rollupModel(level).aggregate([
+        { $match: { deviceId, bucket: { $gte: start, $lt: end } } },
+        { $group: { _id: bucketExpr("$bucket", size, tz), ...statsGroup(false) } },
+      ])
+      : [],
+    HealthData.aggregate([
+      { $match: { deviceId, retractedAt: null, ...NOT_COMPUTED, $or: edges } },
+      { $group: { _id: bucketExpr("$timestamp", size, tz), ...statsGroup(true) } },
+    ]),
+  ]);
+
+  const byBucket = new Map();
+  for (const r of [...rolled, ...scanned]) {
+    const t = r._id.getTime();
+    byBucket.set(t, byBucket.has(t) ? mergeRows(byBucket.get(t), r) : r);
+  }
+  return [...byBucket.values()].sort((a, b) => a._id - b._id).map(r => {
+    const stats = {};
+    for (const [key, s] of Object.entries(toStats(r))) {
+      stats[key] = { avg: s.sum / s.count, min: s.min, max: s.max, count: s.count };
+    }
+    return { timestamp: r._id, readings: r.readings, stats };
+  });
+}
+
+module.exports = {
+  updateRollups,
+  rebuildRollups,
+  markRollupDirty,
+  readRollups,
+  rollupLevelFor,
+  bucketExpr,
+  ROLLUP_FIELDS,
+};
@@ -0,0 +1,169 @@
+// utils/sleep.js
+// Sleep sessions from HealthData readings (pure functions, see utils/sleepJob.js).
+//
+// Readings are cut into epochs (60 s by default). An epoch is in bed when it has
+// readings with presence (the presence gate stores nothing while presence is 0,
+// so time out of bed shows up as a gap); in-bed runs less than bedGapMin apart
+// form one session. Inside a session an epoch is still when neither motion nor
+// activity fired in the epochs around it, and asleep when it is still and its
+// heart rate has dropped from the awake level towards the sleeping one.
+// Motion is an on-change metric (repeats are not stored), so a motion value
+// holds until the next one arrives.
+//
+//   bedTime ── sleep onset latency ── sleepOnsetAt ── TST + WASO ── wakeAt ── outOfBedAt
+
+const SLEEP_ALGO_VERSION = "1.0.0";
+
+const DEFAULTS = {
+  epochSec: 60,
+  bedGapMin: 20,          // out of bed longer than this ends the session
+  minInBedMin: 60,        // shorter sessions (sitting on the bed, naps) are dropped
+  onsetMin: 10,           // sleep onset: first run of this many asleep minutes
+  stillBeforeSec: 240,    // an epoch is still when nothing moved this long before …
+  stillAfterSec: 120,     // … and this long after it
+  awakeningMin: 2,        // awake runs counted as awakenings
+  activityThreshold: 1,   // signals.activity at or above this is movement
+  minHrDrop: 2,           // bpm between awake and still HR before HR is used at all
+};
+
+const median = (xs) => {
+  if (!xs.length) return null;
+  const s = [...xs].sort((a, b) => a - b);
+  const m = s.length >> 1;
+  return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+};
+
+const round1 = (x) => Math.round(x * 10) / 10;
+
+// readings: [{ timestamp, heartRate, signals: { presence, motion, activity } }], oldest first
+function toEpochs(readings, o) {
+  const size = o.epochSec * 1000;
+  const origin = Math.floor(new Date(readings[0].timestamp).getTime() / size) * size;
+  const epochs = [];
+  for (const r of readings) {
+    const k = Math.floor((new Date(r.timestamp).getTime() - origin) / size);
+    const e = epochs[k] || (epochs[k] = { inBed: false, moved: false, hr: [] });
+    const s = r.signals || {};
+    if (s.presence === 0) {
+      e.motion = 0; // the reading that reported leaving; nothing moves until back in bed
+      continue;
+    }
+    e.inBed = true;
+    if (s.motion != null) e.motion = Number(s.motion);
+    if (Number(s.motion) > 0 || Number(s.activity) >= o.activityThreshold) e.moved = true;
+    if (r.heartRate > 0) e.hr.push(r.heartRate);
+  }
+  let motion = 0; // last motion value, carried across epochs without a new one
+  for (let k = 0; k < epochs.length; k++) {
+    const e = epochs[k] || (epochs[k] = { inBed: false, moved: false, hr: [] });
+    if (motion > 0) e.moved = true; // still moving when the epoch began
+    if (e.motion !== undefined) motion = e.motion;
+    e.start = origin + k * size;
+    e.hr = median(e.hr);
+    delete e.motion;
+  }
+  return epochs;
+}
+
+// [first, last] epoch indexes of each in-bed session
+function bedRuns(epochs, o) {
+  const maxGap = Math.ceil(o.bedGapMin * 60 / o.epochSec);
+  const runs = [];
+  let first = -1, last = -1;
+  epochs.forEach((e, k) => {
+    if (!e.inBed) return;
+    if (first >= 0 && k - last - 1 > maxGap) {
+      runs.push([first, last]);
+      first = -1;
+    }
+    if (first < 0) first = k;
+    last = k;
+  });
+  if (first >= 0) runs.push([first, last]);
+  return runs.filter(([a, b]) => (b - a + 1) * o.epochSec >= o.minInBedMin * 60);
+}
+
+function scoreSession(epochs, o) {
+  const before = Math.ceil(o.stillBeforeSec / o.epochSec);
+  const after = Math.ceil(o.stillAfterSec / o.epochSec);
+  const still = epochs.map((e, k) => {
+    if (!e.inBed) return false;
+    for (let j = Math.max(0, k - before); j <= Math.min(epochs.length - 1, k + after); j++) {
+      if (epochs[j].moved) return false;
+    }
+    return true;
+  });
+
+  // HR trend: awake level from epochs with movement (or the first minutes in
+  // bed), sleeping level from still epochs; still epochs closer to the awake
+  // level count as lying awake
+  const onsetEpochs = Math.ceil(o.onsetMin * 60 / o.epochSec);
+  const hrOf = (pred) => epochs.filter((e, k) => e.hr != null && pred(e, k)).map(e => e.hr);
+  const awakeHr = median(hrOf(e => e.moved)) ?? median(hrOf((e, k) => k < onsetEpochs));
+  const stillHr = median(hrOf((e, k) => still[k]));
+  const useHr = awakeHr != null && stillHr != null && awakeHr - stillHr >= o.minHrDrop;
+  const cutoff = useHr ? (awakeHr + stillHr) / 2 : null;
+
+  const asleep = epochs.map((e, k) => still[k] && !(useHr && e.hr != null && e.hr > cutoff));
+  return { asleep, awakeHr, stillHr, useHr };
+}
+
+function sessionFor(epochs, o) {
+  const { asleep, awakeHr, stillHr, useHr } = scoreSession(epochs, o);
+  const onsetEpochs = Math.ceil(o.onsetMin * 60 / o.epochSec);
+
+  let onset = -1;
+  for (let k = 0, run = 0; k < asleep.length; k++) {
+    run = asleep[k] ? run + 1 : 0;
+    if (run === onsetEpochs) { onset = k - run + 1; break; }
+  }
+  if (onset < 0) return null; // in bed, never asleep long enough
+
+  const wake = asleep.lastIndexOf(true) + 1; // epoch after the last asleep one
+  const minutes = (n) => round1(n * o.epochSec / 60);
+  const at = (k) => new Date(epochs[0].start + k * o.epochSec * 1000);
+
+  let tst = 0, awakenings = 0;
+  for (let k = onset, run = 0; k < wake; k++) {
+    if (asleep[k]) {
+      tst++;
+      if (run * o.epochSec >= o.awakeningMin * 60) awakenings++;
+      run = 0;
+    } else {
+      run++;
+    }
+  }
+
+  const inBed = epochs.length;
+  return {
+    bedTime: at(0),
+    sleepOnsetAt: at(onset),
+    wakeAt: at(wake),
+    outOfBedAt: at(inBed),
+    timeInBedMin: minutes(inBed),
+    sleepOnsetLatencyMin: minutes(onset),
+    wasoMin: minutes(wake - onset - tst),
+    totalSleepMin: minutes(tst),
+    efficiency: round1(tst / inBed * 100),
+    awakenings,
+    heartRate: { awake: awakeHr == null ? null : round1(awakeHr), asleep: useHr ? round1(stillHr) : null },
+  };
+}
+
+/**
+ * Sleep sessions found in a device's readings, oldest first. Sessions without
+ * a sleep onset are left out.
+ * @param {Array<{ timestamp, heartRate, signals }>} readings  oldest first
+ * @param {object} [opts]  overrides of DEFAULTS
+ * @returns {Array<{ bedTime, sleepOnsetAt, wakeAt, outOfBedAt, timeInBedMin, sleepOnsetLatencyMin, wasoMin, totalSleepMin, efficiency, awakenings, heartRate }>}
+ */
+function detectSleep(readings, opts = {}) {
+  const o = { ...DEFAULTS, ...opts };
+  if (!readings.length) return [];
+  const epochs = toEpochs(readings, o);
+  return bedRuns(epochs, o)
+    .map(([a, b]) => sessionFor(epochs.slice(a, b + 1), o))
+    .filter(Boolean);
+}
+
+module.exports = { detectSleep, SLEEP_ALGO_VERSION, SLEEP_DEFAULTS: DEFAULTS };
@@ -0,0 +1,114 @@
+// utils/sleepJob.js
+// Scheduled job: sleep sessions detected from HealthData (utils/sleep.js) and
+// stored as SleepData with source "detected", next to what devices send on /sleep.
+//
+// Every run looks at the devices that sent readings recently and re-detects
+// their last SLEEP_LOOKBACK_SEC (36 h). A session is stored once its sleeper has
+// been out of bed longer than the gap that would still join the next in-bed
+// stretch; re-runs update it in place (same bedTime) or drop it when late data
+// or retractions change it. SLEEP_DETECTION=off disables the job; older ranges
+// are backfilled with scripts/detectSleepSessions.js.
+
+const Device = require("../models/Device");
+const HealthData = require("../models/HealthData");
+const SleepData = require("../models/SleepData");
+const { detectSleep, SLEEP_ALGO_VERSION, SLEEP_DEFAULTS } = require("./sleep");
+const { NOT_COMPUTED } = require("./hrvJob");
+
+const ENABLED = (process.env.SLEEP_DETECTION || "on").toLowerCase() !== "off";
+const LOOKBACK_SEC = Number(process.env.SLEEP_LOOKBACK_SEC) || 36 * 3600;
+const ACTIVE_SEC = 2 * 3600; // devices with readings received this recently
+const GAP_MS = SLEEP_DEFAULTS.bedGapMin * 60 * 1000;
+
+let running = false;
+
+// averaged records (window.sec) are minutes apart; epochs no shorter than the spacing
+function epochSecFor(readings) {
+  const gaps = [];
+  for (let i = 1; i < readings.length; i++) gaps.push(readings[i].timestamp - readings[i - 1].timestamp);
+  gaps.sort((a, b) => a - b);
+  const spacing = (gaps[gaps.length >> 1] || 0) / 1000;
+  return Math.max(SLEEP_DEFAULTS.epochSec, Math.ceil(spacing / 60) * 60);
+}
+
+function sessionDoc(device, session, epochSec, readings) {
+  return {
+    deviceId: device.deviceId,
+    userId: device.userId || undefined,
+    source: "detected",
+    timestamp: session.bedTime,
+    duration: session.totalSleepMin,
+    ...session,
+    detection: { version: SLEEP_ALGO_VERSION, epochSec, readings, detectedAt: new Date() },
+  };
+}
+
+/**
+ * Detect and store the finished sleep sessions of one device over [from, to].
+ * Sessions cut by either end of the range are left for a run that sees them whole.
+ * @returns {Promise<number>} new sessions
+ */
+async function detectDeviceSleep(device, from, to) {
+  const { deviceId } = device;
+  const readings = await HealthData.find({
+    deviceId,
+    retractedAt: null,
+    ...NOT_COMPUTED, // server HRV windows carry no motion
+    timestamp: { $gte: from, $lte: to },
+  })
+    .sort({ timestamp: 1 })
+    .select("timestamp heartRate signals.presence signals.motion signals.activity")
+    .lean();
+
+  const epochSec = epochSecFor(readings);
+  const sessions = detectSleep(readings, { epochSec }).filter(s =>
+    s.bedTime - from > GAP_MS && to - s.outOfBedAt > GAP_MS
+  );
+
+  const ops = sessions.map(s => ({
+    updateOne: {
+      filter: { deviceId, source: "detected", bedTime: s.bedTime },
+      update: { $set: sessionDoc(device, s, epochSec, readings.filter(r => r.timestamp >= s.bedTime && r.timestamp < s.outOfBedAt).length) },
+      upsert: true,
+    },
+  }));
+  // sessions in range that no longer come out (late readings, retractions)
+  ops.push({
+    deleteMany: {
+      filter: {
+        deviceId,
+        source: "detected",
+        bedTime: { $gt: new Date(from.getTime() + GAP_MS), $nin: sessions.map(s => s.bedTime) },
+        outOfBedAt: { $lt: new Date(to.getTime() - GAP_MS) },
+      },
+    },
+  });
+  const res = await SleepData.bulkWrite(ops, { ordered: false });
+  return res.upsertedCount || 0;
+}
+
+async function detectSleepSessions(now = Date.now()) {
+  if (!ENABLED || running) return 0;
+  running = true;
+  try {
+    const deviceIds = await HealthData.distinct("deviceId", { receivedAt: { $gte: new Date(now - ACTIVE_SEC * 1000) } });
+    if (!deviceIds.length) return 0;
+
+    const devices = await Device.find({ deviceId: { $in: deviceIds } }).select("deviceId userId").lean();
+    const from = new Date(now - LOOKBACK_SEC * 1000);
+    let sessions = 0;
+    for (const device of devices) {
+      try {
+        sessions += await detectDeviceSleep(device, from, new Date(now));
+      } catch (err) {
+        console.error(`❌ ${device.deviceId} sleep detection failed:`, err.message);
+      }
+    }
+    if (sessions) console.log(`😴 Sleep detection: ${sessions} new session(s) (algorithm ${SLEEP_ALGO_VERSION})`);
+    return sessions;
+  } finally {
+    running = false;
+  }
+}
+
+module.exports = { detectSleepSessions, detectDeviceSleep };
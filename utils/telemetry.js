@@ -0,0 +1,116 @@
+// utils/telemetry.js
+// Ingestion metrics in Prometheus text format, served on GET /metrics.
+//
+// Scrape access needs METRICS_TOKEN and a matching `Authorization: Bearer`
+// header; without the token /metrics is off. The source address is not
+// trusted: behind a local reverse proxy every request comes from loopback.
+
+const client = require("prom-client");
+const Device = require("../models/Device");
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: "dozemate_" });
+
+const received = new client.Counter({
+  name: "dozemate_ingest_messages_received_total",
+  help: "Ingest messages received, per transport",
+  labelNames: ["transport"],
+  registers: [register],
+});
+
+const accepted = new client.Counter({
+  name: "dozemate_ingest_messages_accepted_total",
+  help: "Ingest messages stored (or added to an averaging window, or handled as sleep / config ack), per transport",
+  labelNames: ["transport"],
+  registers: [register],
+});
+
+const rejected = new client.Counter({
+  name: "dozemate_ingest_messages_rejected_total",
+  help: "Ingest messages not stored, per transport and reason (presence, no-change, duplicate, unknown-device, unknown-topic, rate-limited, parse-error, error …)",
+  labelNames: ["transport", "reason"],
+  registers: [register],
+});
+
+const qualityFlags = new client.Counter({
+  name: "dozemate_ingest_quality_flags_total",
+  help: "Fields flagged by metricSpec checks, per metric and flag",
+  labelNames: ["metric", "flag"],
+  registers: [register],
+});
+
+const saveDuration = new client.Histogram({
+  name: "dozemate_ingest_save_duration_seconds",
+  help: "Time to write ingested readings to MongoDB",
+  labelNames: ["transport"],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+  registers: [register],
+});
+
+const mqttConnected = new client.Gauge({
+  name: "dozemate_mqtt_connected",
+  help: "1 while the MQTT client is connected to the broker",
+  registers: [register],
+});
+
+const mqttReconnects = new client.Counter({
+  name: "dozemate_mqtt_reconnects_total",
+  help: "MQTT reconnect attempts",
+  registers: [register],
+});
+
+new client.Gauge({
+  name: "dozemate_device_last_seen_age_seconds",
+  help: "Seconds since each device last sent data (Device.lastActiveAt)",
+  labelNames: ["deviceId"],
+  registers: [register],
+  async collect() {
+    this.reset();
+    const now = Date.now();
+    const devices = await Device.find({ lastActiveAt: { $ne: null } }).select("deviceId lastActiveAt").lean();
+    for (const d of devices) {
+      this.set({ deviceId: d.deviceId }, Math.max(0, (now - new Date(d.lastActiveAt).getTime()) / 1000));
+    }
+  },
+});
+
+const countReceived = (transport, n = 1) => received.inc({ transport }, n);
+const countAccepted = (transport, n = 1) => accepted.inc({ transport }, n);
+const countRejected = (transport, reason, n = 1) => rejected.inc({ transport, reason }, n);
+const countQualityFlag = (metric, flag) => qualityFlags.inc({ metric, flag });
+const setMqttConnected = (up) => mqttConnected.set(up ? 1 : 0);
+const countMqttReconnect = () => mqttReconnects.inc();
+
+// start a save timer: `const done = timeSave("mqtt"); try { … } finally { done(); }`,
+// so failed saves (often the slow ones) are recorded too
+const timeSave = (transport) => saveDuration.startTimer({ transport });
+
+async function metricsHandler(req, res) {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) {
+    return res.status(404).json({ message: "Metrics are disabled, set METRICS_TOKEN to enable them" });
+  }
+  if (req.header("Authorization") !== `Bearer ${token}`) {
+    return res.status(401).json({ message: "Access Denied. Invalid metrics token." });
+  }
+
+  try {
+    res.set("Content-Type", register.contentType);
+    res.end(await register.metrics());
+  } catch (err) {
+    console.error("❌ Failed to collect metrics:", err);
+    res.status(500).end();
+  }
+}
+
+module.exports = {
+  countReceived,
+  countAccepted,
+  countRejected,
+  countQualityFlag,
+  timeSave,
+  setMqttConnected,
+  countMqttReconnect,
+  metricsHandler,
+  register,
+};
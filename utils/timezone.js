@@ -0,0 +1,110 @@
+// utils/timezone.js
+// Local-time helpers for history bucketing and "last night" ranges.
+//
+// A user's zone is an IANA name (Asia/Kolkata, Europe/Berlin …) from, in order:
+// ?tz=, User.timezone, the Account's timezone, DEFAULT_TIMEZONE, UTC.
+// Offsets come from Intl, so DST transitions follow the tz database.
+
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Account = require("../models/Account");
+
+const DEFAULT_TZ = process.env.DEFAULT_TIMEZONE || "UTC";
+const NIGHT_START_HOUR = 18; // "last night" = 18:00 the day before …
+const NIGHT_END_HOUR = 12;   // … until 12:00 local today
+
+function isValidTimeZone(tz) {
+  if (!tz || typeof tz !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const formatters = new Map();
+function localParts(tz, date) {
+  let fmt = formatters.get(tz);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat("en-US", {
+      timeZone: tz, hourCycle: "h23",
+      year: "numeric", month: "2-digit", day: "2-digit",
+      hour: "2-digit", minute: "2-digit", second: "2-digit",
+    });
+    formatters.set(tz, fmt);
+  }
+  const p = Object.fromEntries(fmt.formatToParts(date).map(x => [x.type, Number(x.value)]));
+  return { year: p.year, month: p.month, day: p.day, hour: p.hour, minute: p.minute, second: p.second };
+}
+
+// local - UTC at `date`, in seconds (Asia/Kolkata → 19800)
+function tzOffsetSec(tz, date) {
+  const p = localParts(tz, date);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 1000);
+}
+
+// UTC instant of a local wall time (day/hour may overflow: day 0 = last day of the month before)
+function zonedTime(tz, year, month, day, hour = 0, minute = 0) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  let t = wall - tzOffsetSec(tz, new Date(wall)) * 1000;
+  t = wall - tzOffsetSec(tz, new Date(t)) * 1000; // second pass settles times next to a DST switch
+  return new Date(t);
+}
+
+function localDayStart(tz, date, addDays = 0) {
+  const p = localParts(tz, date);
+  return zonedTime(tz, p.year, p.month, p.day + addDays);
+}
+
+// offsets the zone uses around a range (both sides of a DST switch included)
+function offsetsIn(tz, from, to) {
+  const year = localParts(tz, from).year;
+  const probes = [from, to, new Date(Date.UTC(year, 0, 1)), new Date(Date.UTC(year, 6, 1))];
+  return [...new Set(probes.map(d => tzOffsetSec(tz, d)))];
+}
+
+const isUtcLike = (tz, from, to) => offsetsIn(tz, from, to).every(o => o === 0);
+
+/**
+ * The night before `now` in local time: 18:00 yesterday until 12:00 today
+ * (or until now, when it is earlier).
+ */
+function lastNightRange(tz, now = new Date()) {
+  const p = localParts(tz, now);
+  const from = zonedTime(tz, p.year, p.month, p.day - 1, NIGHT_START_HOUR);
+  const end = zonedTime(tz, p.year, p.month, p.day, NIGHT_END_HOUR);
+  return { from, to: now < end ? now : end };
+}
+
+/**
+ * Zone for a request: ?tz=, then the user's, then their account's.
+ * @returns {Promise<{ tz } | { error }>}
+ */
+async function timeZoneFor(req) {
+  if (req.query.tz) {
+    return isValidTimeZone(req.query.tz) ? { tz: req.query.tz } : { error: `Unknown time zone '${req.query.tz}'` };
+  }
+  const userId = req.user?.userId || req.user?.id;
+  const user = mongoose.isValidObjectId(userId)
+    ? await User.findById(userId).select("timezone accountId").lean()
+    : null;
+  if (user?.timezone) return { tz: user.timezone };
+
+  const account = user?.accountId
+    ? await Account.findOne({ accountId: user.accountId }).select("timezone").lean()
+    : null;
+  return { tz: account?.timezone || DEFAULT_TZ };
+}
+
+module.exports = {
+  isValidTimeZone,
+  tzOffsetSec,
+  zonedTime,
+  localDayStart,
+  offsetsIn,
+  isUtcLike,
+  lastNightRange,
+  timeZoneFor,
+};
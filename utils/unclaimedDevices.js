@@ -0,0 +1,61 @@
+// utils/unclaimedDevices.js
+// Record deviceIds that publish without being registered.
+
+const DevicePrefix = require("../models/DevicePrefix");
+const UnclaimedDevice = require("../models/UnclaimedDevice");
+const { deriveMetaFromPrefix } = require("./deviceId");
+
+// "0102130-00001" → DevicePrefix row; "0102-ACDE48112233" → built-in PREFIX_TO_TYPE table
+async function decodePrefix(deviceId) {
+  const prefix = String(deviceId).split("-")[0];
+  const p = /^\d{7}$/.test(prefix) ? await DevicePrefix.findOne({ prefix }).lean() : null;
+  if (p) {
+    return {
+      prefix,
+      deviceType: p.deviceName,
+      manufacturer: p.manufacturer,
+      sector: p.sector,
+      technology: p.technology,
+      ports: p.ports,
+      source: "devicePrefix",
+    };
+  }
+  const meta = deriveMetaFromPrefix(String(deviceId));
+  if (meta.deviceType) return { prefix, ...meta, source: "builtin" };
+  return { prefix, source: "none" };
+}
+
+/**
+ * Count one message from an unregistered device, creating its record on first sight.
+ * Resolves with the UnclaimedDevice (lean).
+ */
+async function noteUnclaimedDevice(deviceId, { topic } = {}) {
+  const now = new Date();
+  const bump = { $inc: { messageCount: 1 }, $set: { lastSeenAt: now, lastTopic: topic } };
+
+  const existing = await UnclaimedDevice.findOneAndUpdate({ deviceId }, bump, { new: true }).lean();
+  if (existing?.status === "approved") {
+    // approved earlier but its Device record is gone again
+    return UnclaimedDevice.findOneAndUpdate({ deviceId }, { $set: { status: "unclaimed" }, $unset: { device: 1 } }, { new: true }).lean();
+  }
+  if (existing) return existing;
+
+  try {
+    const created = await UnclaimedDevice.create({
+      deviceId,
+      firstSeenAt: now,
+      lastSeenAt: now,
+      messageCount: 1,
+      lastTopic: topic,
+      decoded: await decodePrefix(deviceId),
+    });
+    console.log(`🆕 Unclaimed device discovered: ${deviceId}`);
+    return created.toObject();
+  } catch (err) {
+    // two messages raced on the first insert
+    if (err.code === 11000) return UnclaimedDevice.findOneAndUpdate({ deviceId }, bump, { new: true }).lean();
+    throw err;
+  }
+}
+
+module.exports = { decodePrefix, noteUnclaimedDevice };